@@ -0,0 +1,202 @@
+// analytics.js
+// Analytics emitters: the tracking call a page's analytics snippet sends once
+// the page has loaded, so dashboards fed by client-side analytics see each
+// simulated visit. Every emitter turns a visit into one request to its tool's
+// collection endpoint — the hosted service by default, or a self-hosted
+// instance at ANALYTICS_ENDPOINT (a bare origin gets the emitter's path).
+//
+// ANALYTICS_SITE_ID is what the snippet is configured with:
+//   ga4       measurement ID ("G-XXXXXXXXXX"); ANALYTICS_SECRET is the API secret
+//   plausible site domain (default: the page's host)
+//   matomo    numeric site ID; ANALYTICS_SECRET is a token_auth, needed to
+//             send the visitor's IP and location as cip/country/city
+//   umami     website ID (UUID)
+
+import { primaryLanguage } from "./ledger.js";
+
+// Screen sizes snippets report, by device class
+const SCREENS = { desktop: "1920x1080", mobile: "390x844", inapp: "390x844", unknown: "1366x768" };
+
+// Browser names as the tools display them
+const BROWSER_NAMES = { chrome: "Chrome", edge: "Edge", firefox: "Firefox", safari: "Safari", samsung: "Samsung Internet" };
+
+/**
+ * Drop null/undefined/"" values so unknown fields are left out, not sent empty
+ */
+function compact(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== null && v !== undefined && v !== ""));
+}
+
+/**
+ * Built-in emitters: default endpoint, the path a bare origin gets, and
+ * (target, hit) -> { query, json, headers }
+ */
+export const ANALYTICS_EMITTERS = {
+  // GA4 Measurement Protocol; ip_override, user_location and device stand in
+  // for what gtag.js would have derived from the browser
+  ga4: {
+    endpoint: "https://www.google-analytics.com/mp/collect",
+    path: "/mp/collect",
+    requiresSiteId: true,
+    build: ({ siteId, secret }, hit) => ({
+      query: compact({ measurement_id: siteId, api_secret: secret }),
+      json: compact({
+        client_id: `${parseInt(hit.visitorId.slice(0, 8), 16)}.${parseInt(hit.visitorId.slice(8), 16)}`,
+        user_agent: hit.ua,
+        ip_override: hit.ip,
+        user_location: hit.country
+          ? compact({ country_id: hit.country, region_id: hit.region && `${hit.country}-${hit.region}`, city: hit.city })
+          : null,
+        device: compact({
+          category: hit.uaClass === "desktop" ? "desktop" : "mobile",
+          language: hit.language && hit.language.toLowerCase(),
+          screen_resolution: SCREENS[hit.uaClass],
+          browser: BROWSER_NAMES[hit.browser] || hit.browser,
+          browser_version: hit.browserVersion,
+        }),
+        events: [{
+          name: "page_view",
+          params: compact({
+            page_location: hit.pageUrl,
+            page_referrer: hit.referer,
+            session_id: String(hit.sessionId),
+            engagement_time_msec: 100,
+          }),
+        }],
+      }),
+    }),
+  },
+
+  // Plausible Events API; it takes the visitor's IP from X-Forwarded-For
+  plausible: {
+    endpoint: "https://plausible.io/api/event",
+    path: "/api/event",
+    build: ({ siteId }, hit) => ({
+      headers: compact({ "X-Forwarded-For": hit.ip }),
+      json: compact({
+        name: "pageview",
+        url: hit.pageUrl,
+        domain: siteId || new URL(hit.pageUrl).hostname,
+        referrer: hit.referer,
+      }),
+    }),
+  },
+
+  // Matomo Tracking HTTP API; IP and location overrides need token_auth,
+  // without it Matomo geolocates the request's (forwarded) IP itself
+  matomo: {
+    endpoint: "",
+    path: "/matomo.php",
+    requiresSiteId: true,
+    build: ({ siteId, secret }, hit) => ({
+      query: compact({
+        idsite: siteId,
+        rec: 1,
+        apiv: 1,
+        send_image: 0,
+        url: hit.pageUrl,
+        urlref: hit.referer,
+        _id: hit.visitorId,
+        rand: Math.floor(Math.random() * 2 ** 32).toString(36), // cache-buster, kept off the SEED stream
+        ua: hit.ua,
+        lang: hit.acceptLanguage,
+        res: SCREENS[hit.uaClass],
+        ...(secret && {
+          token_auth: secret,
+          cip: hit.ip,
+          country: hit.country && hit.country.toLowerCase(),
+          region: hit.region,
+          city: hit.city,
+          lat: hit.latitude,
+          long: hit.longitude,
+        }),
+      }),
+    }),
+  },
+
+  // Umami collect API; the page goes as hostname + path, and Umami reads
+  // the IP and edge geo headers of the request (sent like the page request's)
+  umami: {
+    endpoint: "https://cloud.umami.is/api/send",
+    path: "/api/send",
+    requiresSiteId: true,
+    build: ({ siteId }, hit) => {
+      const page = new URL(hit.pageUrl);
+      return {
+        headers: compact({ "X-Forwarded-For": hit.ip }),
+        json: {
+          type: "event",
+          payload: compact({
+            website: siteId,
+            hostname: page.hostname,
+            url: page.pathname + page.search,
+            referrer: hit.referer,
+            language: hit.language,
+            screen: SCREENS[hit.uaClass],
+          }),
+        },
+      };
+    },
+  },
+};
+
+export const ANALYTICS_EMITTER_NAMES = ["none", ...Object.keys(ANALYTICS_EMITTERS)];
+
+/**
+ * Resolve the configured emitter into { name, url, siteId, secret, emitter },
+ * or null when analytics is off or can't be sent (warned about)
+ */
+export function resolveAnalytics({ ANALYTICS, ANALYTICS_ENDPOINT, ANALYTICS_SITE_ID, ANALYTICS_SECRET }) {
+  const name = String(ANALYTICS || "none").trim().toLowerCase();
+  if (name === "none") return null;
+  const emitter = ANALYTICS_EMITTERS[name];
+  if (!emitter) {
+    console.warn(`Unknown analytics emitter "${name}" (available: ${ANALYTICS_EMITTER_NAMES.join(", ")})`);
+    return null;
+  }
+
+  let url;
+  try {
+    url = new URL(ANALYTICS_ENDPOINT || emitter.endpoint);
+  } catch {
+    console.warn(`ANALYTICS_ENDPOINT: ${ANALYTICS_ENDPOINT ? `invalid URL "${ANALYTICS_ENDPOINT}"` : `required for ${name}`}, analytics off`);
+    return null;
+  }
+  if (url.pathname === "/") url.pathname = emitter.path;
+
+  if (emitter.requiresSiteId && !ANALYTICS_SITE_ID) {
+    console.warn(`ANALYTICS_SITE_ID is required for ${name}, analytics off`);
+    return null;
+  }
+  return { name, url: url.href, siteId: ANALYTICS_SITE_ID || "", secret: ANALYTICS_SECRET || "", emitter };
+}
+
+/**
+ * The tracking request for one page view, carrying the same IP/geo headers
+ * as the page request (a browser sends both through the same edge)
+ * @param {object} target - output of resolveAnalytics()
+ * @param {object} hit - the visit (ledger fields) plus pageUrl, sessionId, latitude, longitude
+ * @param {object} geoHeaders - output of buildGeoHeaders() for the visit
+ * @returns {{ url: string, method: string, headers: object, body: string | null }}
+ */
+export function buildAnalyticsRequest(target, hit, geoHeaders = {}) {
+  const { query = {}, json, headers: emitterHeaders = {} } = target.emitter.build(target, {
+    ...hit,
+    language: primaryLanguage(hit.acceptLanguage),
+  });
+  const url = new URL(target.url);
+  for (const [key, value] of Object.entries(query)) url.searchParams.set(key, String(value));
+  const body = json ? JSON.stringify(json) : null;
+
+  const headers = new Map(); // lowercase name -> [name, value]; the emitter's win
+  for (const [name, value] of Object.entries({
+    "User-Agent": hit.ua,
+    ...(hit.acceptLanguage && { "Accept-Language": hit.acceptLanguage }),
+    ...(body && { "Content-Type": "application/json" }),
+    ...geoHeaders,
+    ...emitterHeaders,
+  })) {
+    headers.set(name.toLowerCase(), [name, String(value)]);
+  }
+  return { url: url.href, method: body ? "POST" : "GET", headers: Object.fromEntries(headers.values()), body };
+}
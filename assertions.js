@@ -0,0 +1,113 @@
+// assertions.js
+// Per-link response checks: allowed status codes, a pattern the Location
+// header must match, and that the params hitmaker appends reach the redirect
+// target. A failed check is not an error — the response still arrived — so it
+// is counted on its own.
+//
+// Declared after the URL in a links file, or for every link with --expect-* flags:
+//   https://example.com/go expect=301,302 location=https://shop.example.com/* forward
+//   https://example.com/qr expect=3xx location=/^https:\/\/(www\.)?example\.com\//i
+
+/**
+ * Turn a Location pattern into a RegExp: "/source/flags" is a regex,
+ * anything else a glob where * matches any run of characters and ? one
+ */
+function compileLocation(pattern) {
+  const regex = pattern.match(/^\/(.+)\/([a-z]*)$/s);
+  if (regex) return new RegExp(regex[1], regex[2]);
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*")
+    .replace(/\?/g, ".");
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Validate raw expectations ({ status, location, forward } as strings/flags)
+ * into a serializable spec, or null when nothing is expected
+ */
+export function parseExpectations({ status, location, forward } = {}) {
+  const expect = {};
+
+  if (status !== undefined && status !== "") {
+    const codes = String(status).split(",").map((s) => s.trim().toLowerCase()).filter(Boolean);
+    const invalid = codes.filter((code) => !/^[1-5](\d\d|xx)$/.test(code));
+    if (codes.length === 0 || invalid.length > 0) {
+      throw new Error(`Invalid expected status "${status}" (use codes like 301,302 or classes like 3xx)`);
+    }
+    expect.statuses = codes;
+  }
+
+  if (location !== undefined && location !== "") {
+    if (typeof location !== "string") {
+      throw new Error(`Invalid location pattern ${JSON.stringify(location)} (expected a URL or glob)`);
+    }
+    try {
+      compileLocation(String(location));
+    } catch (err) {
+      throw new Error(`Invalid location pattern "${location}": ${err.message}`);
+    }
+    expect.location = String(location);
+  }
+
+  if (forward !== undefined && forward !== false && forward !== "false") {
+    expect.forward = true;
+  }
+
+  return Object.keys(expect).length > 0 ? expect : null;
+}
+
+/**
+ * Build a checker for an expectations spec. The checker takes what came back
+ * for one hit and returns its failed checks ([] when all pass):
+ *   { check: "status" | "location" | "forward", message }
+ *
+ * @param {object} expect - output of parseExpectations()
+ * @returns {(response: { url, status, location, params, destination }) => object[]}
+ */
+export function createChecker(expect) {
+  const location = expect.location ? compileLocation(expect.location) : null;
+
+  return ({ url, status, location: header, params = {}, destination }) => {
+    const failures = [];
+    let target = null;
+    try {
+      target = header ? new URL(header, url).href : null;
+    } catch {} // a malformed Location fails the checks below, not the hit
+
+    if (expect.statuses) {
+      const code = String(status);
+      const allowed = expect.statuses.some((s) => s === code || (s.endsWith("xx") && s[0] === code[0]));
+      if (!allowed) failures.push({ check: "status", message: `status ${status} not in ${expect.statuses.join(",")}` });
+    }
+
+    if (location) {
+      if (!header) {
+        failures.push({ check: "location", message: "no Location header" });
+      } else if (!target) {
+        failures.push({ check: "location", message: `invalid Location "${header}"` });
+      } else if (!location.test(header) && !location.test(target)) {
+        failures.push({ check: "location", message: `Location ${header} does not match ${expect.location}` });
+      }
+    }
+
+    // Appended params must survive to where the visitor ends up: the final
+    // destination when redirects are followed, otherwise the Location
+    if (expect.forward && Object.keys(params).length > 0) {
+      const landing = destination || target;
+      if (!landing) {
+        failures.push({ check: "forward", message: header ? `invalid Location "${header}"` : "no redirect target to forward params to" });
+      } else {
+        const query = new URL(landing).searchParams;
+        const dropped = Object.entries(params)
+          .filter(([key, value]) => (value ? query.get(key) !== value : !query.has(key)))
+          .map(([key]) => key);
+        if (dropped.length > 0) {
+          failures.push({ check: "forward", message: `params not forwarded: ${dropped.join(", ")}` });
+        }
+      }
+    }
+
+    return failures;
+  };
+}
@@ -0,0 +1,286 @@
+// browsers.js
+// Browser families behind the User-Agents, and the headers each one sends
+// when it navigates to a page — in that browser's own order, with Client Hints
+// and Sec-Fetch metadata only where the browser actually sends them. Bots and
+// CLI tools get the short header sets their HTTP clients send.
+
+export const BROWSER_FAMILIES = [
+  "chrome", "edge", "firefox", "safari", "samsung", // browsers
+  "bot", // crawlers, link expanders, AI agents
+  "curl", "wget", "python-requests", "node-fetch", "axios", "go-http-client", // CLI tools and libraries
+  "other",
+];
+
+const CLI_FAMILIES = ["curl", "wget", "python-requests", "node-fetch", "axios", "go-http-client"];
+
+/**
+ * Bots and CLI clients fetch URLs directly: no Referer, cookies or language
+ */
+export function isAutomated(browser) {
+  return browser === "bot" || CLI_FAMILIES.includes(browser);
+}
+
+// ============================================================================
+// Detection
+// ============================================================================
+
+const BOT = /bot\b|bot\/|crawl|spider|slurp|externalhit|claude-web/i;
+
+/**
+ * Family and version patterns, most specific first (Edge UAs also say
+ * Chrome, Chrome UAs also say Safari)
+ */
+const DETECTORS = [
+  ["curl", /^curl\/([\d.]+)/i],
+  ["wget", /^Wget\/([\d.]+)/i],
+  ["python-requests", /python-requests\/([\d.]+)/i],
+  ["node-fetch", /node-fetch(?:\/([\d.]+))?/i],
+  ["axios", /axios\/([\d.]+)/i],
+  ["go-http-client", /Go-http-client\/([\d.]+)/i],
+  ["edge", /Edg(?:e|A|iOS)?\/([\d.]+)/],
+  ["samsung", /SamsungBrowser\/([\d.]+)/],
+  ["firefox", /(?:Firefox|FxiOS)\/([\d.]+)/],
+  ["chrome", /(?:Chrome|CriOS)\/([\d.]+)/],
+  ["safari", /Version\/([\d.]+).*Safari\//],
+  ["safari", /iP(?:hone|ad|od).*? OS (\d+(?:_\d+)*) .*AppleWebKit/], // in-app WKWebView: WebKit of the iOS release
+];
+
+/**
+ * In-app browsers by the marker their app adds to the User-Agent
+ */
+const APPS = [
+  ["instagram", /Instagram /],
+  ["facebook", /FBAN\/|FBAV\/|FB_IAB\//],
+  ["tiktok", /musical_ly|trill_|BytedanceWebview/],
+  ["linkedin", /LinkedInApp/],
+  ["wechat", /MicroMessenger\//],
+  ["snapchat", /Snapchat\//],
+];
+
+/**
+ * App behind an in-app User-Agent ("scanner" for anything else — QR
+ * scanner and camera apps that open links in a plain webview or browser)
+ */
+export function detectApp(ua) {
+  const app = APPS.find(([, pattern]) => pattern.test(ua));
+  return app ? app[0] : "scanner";
+}
+
+/**
+ * Browser family and version of a User-Agent ("other" and "" if unrecognized)
+ */
+export function detectBrowser(ua) {
+  if (BOT.test(ua)) {
+    const match = /(?:bot|crawl\w*|spider|slurp|externalhit|claude-web)[\w-]*\/(\d[\d.]*)/i.exec(ua);
+    return { browser: "bot", version: match ? match[1] : "" };
+  }
+  for (const [browser, pattern] of DETECTORS) {
+    const match = pattern.exec(ua);
+    if (match) return { browser, version: (match[1] || "").replace(/_/g, ".") };
+  }
+  return { browser: "other", version: "" };
+}
+
+// ============================================================================
+// Request metadata
+// ============================================================================
+
+const major = (version) => parseInt(version, 10) || 0;
+
+/**
+ * "16.4" >= "16.4" style comparison of dotted versions
+ */
+function atLeast(version, wanted) {
+  const a = String(version).split(".").map(Number);
+  const b = String(wanted).split(".").map(Number);
+  for (let i = 0; i < b.length; i++) {
+    if ((a[i] || 0) !== b[i]) return (a[i] || 0) > b[i];
+  }
+  return true;
+}
+
+/**
+ * Browsers send Client Hints and Sec-Fetch-* only to secure origins
+ */
+function isSecure(url) {
+  return url.protocol === "https:" || /^(localhost|127\.\d+\.\d+\.\d+|\[::1\])$/.test(url.hostname);
+}
+
+/**
+ * Registrable domain, roughly: the last two labels, or three under a
+ * second-level like co.uk / com.au
+ */
+function siteOf(hostname) {
+  if (/^[\d.]+$|:/.test(hostname)) return hostname;
+  const labels = hostname.split(".");
+  const keep = /^(co|com|net|org|ac|gov|edu|ne|or)\.[a-z]{2}$/.test(labels.slice(-2).join(".")) ? 3 : 2;
+  return labels.slice(-keep).join(".");
+}
+
+/**
+ * Sec-Fetch-Site for a navigation: "none" when typed, scanned or opened
+ * from an app (no Referer), otherwise where the Referer sits relative to the URL
+ */
+function fetchSite(url, referer) {
+  if (!referer) return "none";
+  let from;
+  try {
+    from = new URL(referer);
+  } catch {
+    return "cross-site";
+  }
+  if (from.origin === url.origin) return "same-origin";
+  return siteOf(from.hostname) === siteOf(url.hostname) ? "same-site" : "cross-site";
+}
+
+/**
+ * Chromium's GREASE brand list for a Chromium major version — the same brand
+ * names, versions and order a real Chrome or Edge of that version sends.
+ * Samsung Internet reports its own version for its brand.
+ */
+function chromiumBrands(brand, version, brandVersion = version) {
+  const seed = major(version);
+  const chars = [" ", "(", ":", "-", ".", "/", ")", ";", "=", "?", "_"];
+  const grease = { brand: `Not${chars[seed % 11]}A${chars[(seed + 1) % 11]}Brand`, version: ["8", "99", "24"][seed % 3] };
+  const orders = [[0, 1, 2], [0, 2, 1], [1, 0, 2], [1, 2, 0], [2, 0, 1], [2, 1, 0]];
+  const list = [grease, { brand: "Chromium", version: String(seed) }, { brand, version: String(major(brandVersion)) }];
+  const shuffled = [];
+  orders[seed % 6].forEach((position, i) => { shuffled[position] = list[i]; });
+  return shuffled.map((b) => `"${b.brand}";v="${b.version}"`).join(", ");
+}
+
+function chromiumPlatform(ua) {
+  if (/Windows/.test(ua)) return "Windows";
+  if (/Android/.test(ua)) return "Android";
+  if (/CrOS/.test(ua)) return "Chrome OS";
+  if (/Macintosh/.test(ua)) return "macOS";
+  if (/Linux/.test(ua)) return "Linux";
+  return "Unknown";
+}
+
+// ============================================================================
+// Header sets
+// ============================================================================
+
+const CHROMIUM_ACCEPT = "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7";
+const FIREFOX_ACCEPT = "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8";
+const HTML_ACCEPT = "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8";
+
+/**
+ * Header sets per engine: (agent, request, context) -> headers in send order.
+ * Undefined values are dropped, so optional headers keep their position.
+ */
+const HEADER_SETS = {
+  chromium: ({ ua, browser, version }, { referer, language, cookie }, { secure, site }) => {
+    // Samsung Internet numbers its releases apart from the Chromium it runs on
+    const chromium = browser === "samsung" ? (/Chrome\/([\d.]+)/.exec(ua) || [])[1] || "0" : version;
+    const brand = /; wv\)/.test(ua) ? "Android WebView"
+      : browser === "edge" ? "Microsoft Edge"
+        : browser === "samsung" ? "Samsung Internet"
+          : "Google Chrome";
+    return {
+      ...(secure && major(chromium) >= 89 && {
+        "sec-ch-ua": chromiumBrands(brand, chromium, version),
+        "sec-ch-ua-mobile": /Mobile/.test(ua) ? "?1" : "?0",
+        "sec-ch-ua-platform": `"${chromiumPlatform(ua)}"`,
+      }),
+      "Upgrade-Insecure-Requests": "1",
+      "User-Agent": ua,
+      Accept: CHROMIUM_ACCEPT,
+      ...(secure && major(chromium) >= 76 && {
+        "Sec-Fetch-Site": site,
+        "Sec-Fetch-Mode": "navigate",
+        "Sec-Fetch-User": "?1",
+        "Sec-Fetch-Dest": "document",
+      }),
+      Referer: referer,
+      "Accept-Encoding": "gzip, deflate, br",
+      "Accept-Language": language,
+      Cookie: cookie,
+    };
+  },
+
+  firefox: ({ ua, version }, { referer, language, cookie }, { secure, site }) => {
+    const fetchMetadata = secure && major(version) >= 90;
+    return {
+      "User-Agent": ua,
+      Accept: FIREFOX_ACCEPT,
+      "Accept-Language": language,
+      "Accept-Encoding": "gzip, deflate, br",
+      Referer: referer,
+      Cookie: cookie,
+      "Upgrade-Insecure-Requests": "1",
+      "Sec-Fetch-Dest": fetchMetadata ? "document" : undefined,
+      "Sec-Fetch-Mode": fetchMetadata ? "navigate" : undefined,
+      "Sec-Fetch-Site": fetchMetadata ? site : undefined,
+      "Sec-Fetch-User": fetchMetadata ? "?1" : undefined,
+    };
+  },
+
+  // Safari, and every browser on iOS (they all run WebKit). Sec-Fetch-* since 16.4.
+  webkit: ({ ua, browser, version }, { referer, language, cookie }, { secure, site }) => {
+    const ios = /OS (\d+)_(\d+)/.exec(ua);
+    const webkitVersion = browser === "safari" ? version : ios ? `${ios[1]}.${ios[2]}` : "0";
+    const fetchMetadata = secure && atLeast(webkitVersion, "16.4");
+    return {
+      "Sec-Fetch-Site": fetchMetadata ? site : undefined,
+      Cookie: cookie,
+      "Sec-Fetch-Mode": fetchMetadata ? "navigate" : undefined,
+      Accept: HTML_ACCEPT,
+      "User-Agent": ua,
+      Referer: referer,
+      "Sec-Fetch-Dest": fetchMetadata ? "document" : undefined,
+      "Accept-Language": language,
+      "Accept-Encoding": "gzip, deflate, br",
+    };
+  },
+
+  bot: ({ ua }, { referer }) => ({
+    "User-Agent": ua,
+    Accept: HTML_ACCEPT,
+    "Accept-Encoding": "gzip, deflate, br",
+    Referer: referer,
+  }),
+
+  curl: ({ ua }, { referer }) => ({ "User-Agent": ua, Accept: "*/*", Referer: referer }),
+  wget: ({ ua }, { referer }) => ({ "User-Agent": ua, Accept: "*/*", "Accept-Encoding": "identity", Referer: referer }),
+  "python-requests": ({ ua }, { referer }) => ({ "User-Agent": ua, "Accept-Encoding": "gzip, deflate", Accept: "*/*", Referer: referer }),
+  "node-fetch": ({ ua }, { referer }) => ({ Accept: "*/*", "User-Agent": ua, "Accept-Encoding": "gzip, deflate, br", Referer: referer }),
+  axios: ({ ua }, { referer }) => ({
+    Accept: "application/json, text/plain, */*",
+    "User-Agent": ua,
+    "Accept-Encoding": "gzip, compress, deflate, br",
+    Referer: referer,
+  }),
+  "go-http-client": ({ ua }, { referer }) => ({ "User-Agent": ua, Referer: referer, "Accept-Encoding": "gzip" }),
+
+  // Smart TVs, consoles, in-house apps: a plain browser-like set
+  other: ({ ua }, { referer, language, cookie }) => ({
+    "User-Agent": ua,
+    Accept: HTML_ACCEPT,
+    "Accept-Language": language,
+    "Accept-Encoding": "gzip, deflate",
+    Referer: referer,
+    Cookie: cookie,
+  }),
+};
+
+/**
+ * Headers for one page navigation, in the order the client sends them
+ * @param {{ ua, browser, version }} agent - a User-Agent catalog entry
+ * @param {{ url, referer, language, cookie }} request - referer/cookie may be null
+ */
+export function buildBrowserHeaders(agent, { url, referer = null, language, cookie = null }) {
+  const target = new URL(url);
+  const context = { secure: isSecure(target), site: fetchSite(target, referer) };
+  const engine = ["chrome", "edge", "firefox"].includes(agent.browser) && /iPhone|iPad|iPod/.test(agent.ua)
+    ? "webkit"
+    : ["chrome", "edge", "samsung"].includes(agent.browser) ? "chromium"
+      : agent.browser === "safari" ? "webkit"
+        : agent.browser;
+  const headers = (HEADER_SETS[engine] || HEADER_SETS.other)(agent, { referer, language, cookie }, context);
+  // Every client sends Host first; Node would append it last
+  return Object.fromEntries(
+    [["Host", target.host], ...Object.entries(headers)].filter(([, value]) => value !== undefined && value !== null && value !== ""),
+  );
+}
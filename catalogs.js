@@ -0,0 +1,901 @@
+// catalogs.js
+// Data catalogs behind every simulated visitor — User-Agents, Accept-Language
+// values, referers, locations, per-country IP ranges and the crawlers' own
+// IP ranges. The built-in lists
+// are the default; CATALOGS in the config file replaces or extends any of
+// them from JSON or CSV files, with optional per-entry weights:
+//
+//   "CATALOGS": {
+//     "locations": "catalogs/nordic-locations.csv",              // replace
+//     "referers": { "file": "catalogs/referers.json", "mode": "extend" }
+//   }
+
+import { readFileSync, existsSync } from "fs";
+import { parseCsv } from "./ledger.js";
+import { parseIpv6Prefix } from "./ipv6.js";
+import { BROWSER_FAMILIES, detectBrowser, detectApp } from "./browsers.js";
+
+// ============================================================================
+// Built-in catalogs
+// ============================================================================
+
+
+/**
+ * Desktop user agents, with the browser family and version behind each
+ * (they decide which headers go with it — see browsers.js)
+ */
+const DESKTOP_USER_AGENTS = [
+  { ua: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36", browser: "chrome", version: "120.0.0.0" },
+  { ua: "Mozilla/5.0 (Macintosh; Intel Mac OS X 13_6) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.0 Safari/605.1.15", browser: "safari", version: "16.0" },
+  { ua: "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0", browser: "firefox", version: "121.0" },
+  { ua: "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36", browser: "chrome", version: "120.0.0.0" },
+  { ua: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36 Edg/121.0.0.0", browser: "edge", version: "121.0.0.0" },
+];
+
+/**
+ * Mobile user agents (includes phones and tablets)
+ */
+const MOBILE_USER_AGENTS = [
+  { ua: "Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1", browser: "safari", version: "17.0" },
+  { ua: "Mozilla/5.0 (Linux; Android 14; SM-G991B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36", browser: "chrome", version: "120.0.0.0" },
+  { ua: "Mozilla/5.0 (iPhone; CPU iPhone OS 16_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) CriOS/120.0.6099.119 Mobile/15E148 Safari/604.1", browser: "chrome", version: "120.0.6099.119" },
+  { ua: "Mozilla/5.0 (Linux; Android 13; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36", browser: "chrome", version: "120.0.0.0" },
+  { ua: "Mozilla/5.0 (iPad; CPU OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1", browser: "safari", version: "17.0" },
+  { ua: "Mozilla/5.0 (Linux; Android 13; SM-X906C) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36", browser: "chrome", version: "120.0.0.0" },
+];
+
+/**
+ * In-app browsers and QR scanners — how many scans and social clicks really
+ * arrive. `referer` is what the app sends; most send none. The iOS camera
+ * hands scanned links to plain Safari.
+ */
+const IN_APP_USER_AGENTS = [
+  {
+    ua: "Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148 Instagram 307.0.2.16.108 (iPhone14,5; iOS 17_1; en_US; en; scale=3.00; 1170x2532; 532277066)",
+    browser: "safari", version: "17.1", app: "instagram", referer: "https://l.instagram.com/", weight: 6,
+  },
+  {
+    ua: "Mozilla/5.0 (Linux; Android 14; SM-S911B Build/UP1A.231005.007; wv) AppleWebKit/537.36 (KHTML, like Gecko) Version/4.0 Chrome/119.0.6045.193 Mobile Safari/537.36 Instagram 308.0.0.36.109 Android (34/14; 480dpi; 1080x2340; samsung; SM-S911B; dm1q; qcom; en_US; 533450710)",
+    browser: "chrome", version: "119.0.6045.193", app: "instagram", referer: "https://l.instagram.com/", weight: 4,
+  },
+  {
+    ua: "Mozilla/5.0 (iPhone; CPU iPhone OS 17_1_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148 [FBAN/FBIOS;FBAV/442.0.0.36.107;FBBV/544375738;FBDV/iPhone15,2;FBMD/iPhone;FBSN/iOS;FBSV/17.1.2;FBSS/3;FBID/phone;FBLC/en_US;FBOP/5;FBRV/546022453]",
+    browser: "safari", version: "17.1.2", app: "facebook", referer: "https://m.facebook.com/", weight: 5,
+  },
+  {
+    ua: "Mozilla/5.0 (Linux; Android 13; Pixel 7 Build/TQ3A.230901.001; wv) AppleWebKit/537.36 (KHTML, like Gecko) Version/4.0 Chrome/119.0.6045.163 Mobile Safari/537.36 [FB_IAB/FB4A;FBAV/442.0.0.33.110;]",
+    browser: "chrome", version: "119.0.6045.163", app: "facebook", referer: "https://m.facebook.com/", weight: 4,
+  },
+  {
+    ua: "Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148 musical_ly_32.5.0 JsSdk/2.0 NetType/WIFI Channel/App Store ByteLocale/en Region/US ByteFullLocale/en isDarkMode/0 WKWebView/1 RevealType/Dialog BytedanceWebview/d8a21c6",
+    browser: "safari", version: "17.1", app: "tiktok", weight: 4,
+  },
+  {
+    ua: "Mozilla/5.0 (Linux; Android 13; SM-A536B Build/TP1A.220624.014; wv) AppleWebKit/537.36 (KHTML, like Gecko) Version/4.0 Chrome/119.0.6045.163 Mobile Safari/537.36 trill_320405 JsSdk/1.0 NetType/WIFI Channel/googleplay AppName/trill app_version/32.4.5 ByteLocale/en ByteFullLocale/en Region/US BytedanceWebview/d8a21c6",
+    browser: "chrome", version: "119.0.6045.163", app: "tiktok", weight: 3,
+  },
+  {
+    ua: "Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148 [LinkedInApp]/9.29.4620",
+    browser: "safari", version: "17.1", app: "linkedin", weight: 2,
+  },
+  {
+    ua: "Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148 MicroMessenger/8.0.44(0x18002c2f) NetType/WIFI Language/zh_CN",
+    browser: "safari", version: "17.1", app: "wechat", weight: 1,
+  },
+  {
+    ua: "Mozilla/5.0 (Linux; Android 13; V2227A Build/TP1A.220624.014; wv) AppleWebKit/537.36 (KHTML, like Gecko) Version/4.0 Chrome/111.0.5563.116 Mobile Safari/537.36 XWEB/1110005 MMWEBSDK/20231002 MMWEBID/2585 MicroMessenger/8.0.43.2480(0x28002B51) WeChat/arm64 Weixin NetType/WIFI Language/zh_CN ABI/arm64",
+    browser: "chrome", version: "111.0.5563.116", app: "wechat", weight: 1,
+  },
+  {
+    ua: "Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148 Snapchat/12.60.0.47 (like Safari/8617.1.17.10.9, panda)",
+    browser: "safari", version: "17.1", app: "snapchat", weight: 2,
+  },
+  // QR scanners: the iOS camera opens Safari; Android scanner apps use a webview
+  {
+    ua: "Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Mobile/15E148 Safari/604.1",
+    browser: "safari", version: "17.1", app: "scanner", weight: 8,
+  },
+  {
+    ua: "Mozilla/5.0 (Linux; Android 12; moto g(60) Build/S2RIS32.32-20-3; wv) AppleWebKit/537.36 (KHTML, like Gecko) Version/4.0 Chrome/119.0.6045.163 Mobile Safari/537.36",
+    browser: "chrome", version: "119.0.6045.163", app: "scanner", weight: 4,
+  },
+];
+
+/**
+ * Unknown/unclassifiable user agents — generic strings that analytics engines
+ * (GA4, Plausible, Matomo, Mixpanel, etc.) cannot categorize as desktop or mobile
+ */
+const UNKNOWN_USER_AGENTS = [
+  // Bots & crawlers — most common unknown traffic by far
+  { ua: "Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)", browser: "bot", version: "2.1", weight: 25 },
+  { ua: "Mozilla/5.0 (compatible; bingbot/2.0; +http://www.bing.com/bingbot.htm)", browser: "bot", version: "2.0", weight: 12 },
+  { ua: "facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)", browser: "bot", version: "1.1", weight: 8 },
+  { ua: "LinkedInBot/1.0 (compatible; Mozilla/5.0; Apache-HttpClient +http://www.linkedin.com)", browser: "bot", version: "1.0", weight: 5 },
+  { ua: "Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)", browser: "bot", version: "1.0", weight: 4 },
+  { ua: "Twitterbot/1.0", browser: "bot", version: "1.0", weight: 4 },
+  // AI agents & scrapers
+  { ua: "Claude-Web/1.0 (Anthropic)", browser: "bot", version: "1.0", weight: 6 },
+  { ua: "GPTBot/1.2 (+https://openai.com/gptbot)", browser: "bot", version: "1.2", weight: 6 },
+  { ua: "CCBot/2.0 (https://commoncrawl.org/faq/)", browser: "bot", version: "2.0", weight: 3 },
+  // CLI & libraries
+  { ua: "curl/8.4.0", browser: "curl", version: "8.4.0", weight: 8 },
+  { ua: "python-requests/2.31.0", browser: "python-requests", version: "2.31.0", weight: 6 },
+  { ua: "node-fetch/3.3.2", browser: "node-fetch", version: "3.3.2", weight: 3 },
+  { ua: "axios/1.6.2", browser: "axios", version: "1.6.2", weight: 2 },
+  { ua: "Go-http-client/2.0", browser: "go-http-client", version: "2.0", weight: 3 },
+  { ua: "Wget/1.21.4", browser: "wget", version: "1.21.4", weight: 2 },
+  // Odd devices — rare but real
+  { ua: "SmartTV/1.0 (SMART-TV; Linux; Tizen 7.0)", browser: "other", version: "", weight: 2 },
+  { ua: "Dalvik/2.1.0 (Linux; U; Android 12; oculus Build/SQ3A.220605.009.A1)", browser: "other", version: "", weight: 1 },
+];
+
+/**
+ * Accept-Language values per visitor country. Entries without a country
+ * are the international ones — sent by visitors from countries without
+ * entries, and by the ENGLISH_FALLBACK share of everyone else.
+ */
+const ACCEPT_LANGS = [
+  { language: "en-US,en;q=0.9", weight: 3 },
+  { language: "en-GB,en;q=0.9", weight: 1 },
+  { country: "US", language: "en-US,en;q=0.9", weight: 8 },
+  { country: "US", language: "es-US,es;q=0.9,en-US;q=0.8,en;q=0.7", weight: 1 },
+  { country: "GB", language: "en-GB,en;q=0.9", weight: 4 },
+  { country: "GB", language: "en-GB,en-US;q=0.9,en;q=0.8", weight: 1 },
+  { country: "AU", language: "en-AU,en;q=0.9", weight: 4 },
+  { country: "AU", language: "en-AU,en-GB;q=0.9,en;q=0.8", weight: 1 },
+  { country: "DK", language: "da-DK,da;q=0.9,en-US;q=0.8,en;q=0.7", weight: 3 },
+  { country: "DK", language: "da,en-US;q=0.9,en;q=0.8", weight: 1 },
+  { country: "DE", language: "de-DE,de;q=0.9,en-US;q=0.8,en;q=0.7", weight: 3 },
+  { country: "DE", language: "de,en-US;q=0.7,en;q=0.3", weight: 1 },
+  { country: "FR", language: "fr-FR,fr;q=0.9,en-US;q=0.8,en;q=0.7", weight: 3 },
+  { country: "FR", language: "fr-FR,fr;q=0.9", weight: 1 },
+  { country: "NL", language: "nl-NL,nl;q=0.9,en-US;q=0.8,en;q=0.7", weight: 3 },
+  { country: "NL", language: "nl,en-US;q=0.9,en;q=0.8", weight: 1 },
+  { country: "SE", language: "sv-SE,sv;q=0.9,en-US;q=0.8,en;q=0.7", weight: 3 },
+  { country: "SE", language: "sv,en;q=0.9", weight: 1 },
+  { country: "JP", language: "ja-JP,ja;q=0.9", weight: 3 },
+  { country: "JP", language: "ja,en-US;q=0.9,en;q=0.8", weight: 1 },
+  { country: "BR", language: "pt-BR,pt;q=0.9,en-US;q=0.8,en;q=0.7", weight: 3 },
+  { country: "BR", language: "pt-BR,pt;q=0.9", weight: 1 },
+];
+
+/**
+ * Referer channels: social and messaging apps make up much more of mobile
+ * traffic than of desktop traffic
+ */
+export const REFERER_CHANNELS = {
+  search: ["google.*", "bing.com", "duckduckgo.com", "yahoo.com", "yandex.ru", "baidu.com", "ecosia.org"],
+  social: ["facebook.com", "twitter.com", "x.com", "t.co", "linkedin.com", "reddit.com", "youtube.com", "tiktok.com",
+    "pinterest.com", "instagram.com", "weibo.com", "threads.net"],
+  messaging: ["whatsapp.com", "telegram.org", "t.me", "discord.com", "slack.com", "messenger.com"],
+  other: [],
+};
+
+/**
+ * Whether a host is `domain` or one of its subdomains ("google.*" matches
+ * any Google country domain)
+ */
+function hostMatches(host, domain) {
+  if (domain.endsWith(".*")) {
+    const name = domain.slice(0, -2).replace(/\./g, "\\.");
+    return new RegExp(`(^|\\.)${name}\\.[a-z]{2,3}(\\.[a-z]{2})?$`).test(host);
+  }
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * Channel of a referer URL (or template) by its host, "other" if unknown
+ */
+export function refererChannel(referer) {
+  let host;
+  try {
+    host = new URL(expandReferer(referer, "US", () => 0)).hostname.toLowerCase();
+  } catch {
+    return "other";
+  }
+  const channel = Object.keys(REFERER_CHANNELS).find((name) =>
+    REFERER_CHANNELS[name].some((domain) => hostMatches(host, domain)),
+  );
+  return channel || "other";
+}
+
+/**
+ * Referers, as templates expanded on every visit (see expandReferer)
+ */
+const REFERERS = [
+  { referer: "https://www.{google}/", weight: 5 },
+  { referer: "https://www.bing.com/", weight: 1 },
+  { referer: "https://duckduckgo.com/", weight: 1 },
+  { referer: "https://l.facebook.com/", weight: 2 },
+  { referer: "https://t.co/{id:10}", weight: 1 },
+  { referer: "https://www.linkedin.com/", weight: 1 },
+  { referer: "https://www.reddit.com/r/{technology|gadgets|webdev|marketing|europe}/comments/{id}/", weight: 1 },
+  { referer: "https://www.youtube.com/", weight: 1 },
+  { referer: "https://discord.com/", weight: 1 },
+  { referer: "https://app.slack.com/", weight: 1 },
+  { referer: "https://web.whatsapp.com/", weight: 1 },
+  { referer: "https://www.tiktok.com/", weight: 1 },
+  { referer: "https://www.pinterest.com/", weight: 1 },
+  { referer: "https://web.telegram.org/", weight: 1 },
+  { referer: "https://weibo.com/", weight: 1 },
+];
+
+/**
+ * Google search domain per visitor country (google.com elsewhere)
+ */
+const GOOGLE_DOMAINS = {
+  US: "google.com", GB: "google.co.uk", DK: "google.dk", DE: "google.de", FR: "google.fr",
+  NL: "google.nl", SE: "google.se", NO: "google.no", FI: "google.fi", ES: "google.es",
+  IT: "google.it", PL: "google.pl", CA: "google.ca", IE: "google.ie", JP: "google.co.jp",
+  IN: "google.co.in", BR: "google.com.br", MX: "google.com.mx", AU: "google.com.au", NZ: "google.co.nz",
+};
+
+/**
+ * Expand a referer template for one visit:
+ *   {google}   Google domain of the visitor's country ("google.de")
+ *   {id}       random id, 7 lowercase letters/digits ({id:10} for 10)
+ *   {a|b|c}    one of the alternatives
+ */
+export function expandReferer(template, country, rng = Math.random) {
+  return template.replace(/\{([^{}]*)\}/g, (placeholder, name) => {
+    if (name === "google") return GOOGLE_DOMAINS[country] || "google.com";
+    const id = /^id(?::(\d+))?$/.exec(name);
+    if (id) {
+      return Array.from({ length: Number(id[1] || 7) }, () => Math.floor(rng() * 36).toString(36)).join("");
+    }
+    if (name.includes("|")) {
+      const options = name.split("|");
+      return options[Math.floor(rng() * options.length)];
+    }
+    return placeholder;
+  });
+}
+
+/**
+ * Visitor locations (city percent-encoded, as geo headers carry it)
+ * Mix of US, Danish, and other international locations
+ * timezone (IANA) drives per-visitor time-of-day schedules
+ */
+const LOCATIONS = [
+  // US locations (with state codes)
+  {
+    country: "US",
+    city: "The%20Dalles",
+    region: "OR",
+    latitude: "45.5946",
+    longitude: "-121.1787",
+    timezone: "America/Los_Angeles",
+  },
+  {
+    country: "US",
+    city: "Atlanta",
+    region: "GA",
+    latitude: "33.7490",
+    longitude: "-84.3880",
+    timezone: "America/New_York",
+  },
+  {
+    country: "US",
+    city: "New%20York",
+    region: "NY",
+    latitude: "40.7128",
+    longitude: "-74.0060",
+    timezone: "America/New_York",
+  },
+  {
+    country: "US",
+    city: "San%20Francisco",
+    region: "CA",
+    latitude: "37.7749",
+    longitude: "-122.4194",
+    timezone: "America/Los_Angeles",
+  },
+  // Danish locations (with numeric region codes)
+  {
+    country: "DK",
+    city: "Copenhagen",
+    region: "84",
+    latitude: "55.6761",
+    longitude: "12.5683",
+    timezone: "Europe/Copenhagen",
+  },
+  {
+    country: "DK",
+    city: "Aarhus",
+    region: "82",
+    latitude: "56.1629",
+    longitude: "10.2039",
+    timezone: "Europe/Copenhagen",
+  },
+  // Other international locations
+  {
+    country: "DE",
+    city: "Munich",
+    region: "BY",
+    latitude: "48.1351",
+    longitude: "11.5820",
+    timezone: "Europe/Berlin",
+  },
+  {
+    country: "GB",
+    city: "London",
+    region: "ENG",
+    latitude: "51.5074",
+    longitude: "-0.1278",
+    timezone: "Europe/London",
+  },
+  {
+    country: "FR",
+    city: "Paris",
+    region: "IDF",
+    latitude: "48.8566",
+    longitude: "2.3522",
+    timezone: "Europe/Paris",
+  },
+  // Additional international locations
+  {
+    country: "NL",
+    city: "Amsterdam",
+    region: "NH",
+    latitude: "52.3676",
+    longitude: "4.9041",
+    timezone: "Europe/Amsterdam",
+  },
+  {
+    country: "SE",
+    city: "Stockholm",
+    region: "AB",
+    latitude: "59.3293",
+    longitude: "18.0686",
+    timezone: "Europe/Stockholm",
+  },
+  {
+    country: "JP",
+    city: "Tokyo",
+    region: "13",
+    latitude: "35.6762",
+    longitude: "139.6503",
+    timezone: "Asia/Tokyo",
+  },
+  {
+    country: "BR",
+    city: "S%C3%A3o%20Paulo",
+    region: "SP",
+    latitude: "-23.5505",
+    longitude: "-46.6333",
+    timezone: "America/Sao_Paulo",
+  },
+  {
+    country: "AU",
+    city: "Sydney",
+    region: "NSW",
+    latitude: "-33.8688",
+    longitude: "151.2093",
+    timezone: "Australia/Sydney",
+  },
+];
+
+/**
+ * First octet ranges that look realistic per country (avoid reserved ranges)
+ * Each country gets multiple first-octet options for variety
+ */
+const IP_FIRST_OCTETS = {
+  US: [
+    3, 8, 13, 18, 23, 34, 35, 44, 50, 52, 54, 63, 64, 65, 66, 67, 68, 69, 70,
+    71, 72, 73, 74, 75, 76, 96, 97, 98, 99, 100, 104, 107, 108, 128, 129, 130,
+    131, 132, 134, 135, 136, 137, 138, 139, 140, 142, 143, 144, 147, 148, 149,
+    150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164,
+    165, 166, 167, 168, 170, 171, 172, 173, 174, 184, 198, 199, 204, 205, 206,
+    207, 208, 209,
+  ],
+  DK: [
+    2, 5, 31, 37, 46, 77, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92,
+    93, 94, 95, 109, 176, 178, 185, 188, 193, 194, 195, 212, 213,
+  ],
+  DE: [
+    2, 5, 31, 37, 46, 62, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89,
+    91, 92, 93, 94, 95, 109, 134, 138, 141, 145, 146, 176, 178, 185, 188, 193,
+    194, 195, 212, 213, 217,
+  ],
+  GB: [
+    2, 5, 31, 37, 46, 51, 62, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88,
+    89, 90, 91, 92, 93, 94, 95, 109, 176, 178, 185, 188, 193, 194, 195, 212,
+    213, 217,
+  ],
+  FR: [
+    2, 5, 31, 37, 46, 62, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89,
+    90, 91, 92, 93, 94, 95, 109, 176, 178, 185, 188, 193, 194, 195, 212, 213,
+    217,
+  ],
+  NL: [
+    2, 5, 31, 37, 46, 62, 77, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 91,
+    92, 93, 94, 95, 109, 145, 176, 178, 185, 188, 193, 194, 195, 212, 213,
+  ],
+  SE: [
+    2, 5, 31, 37, 46, 62, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88,
+    89, 91, 92, 93, 94, 95, 109, 176, 178, 185, 188, 193, 194, 195, 212, 213,
+  ],
+  JP: [
+    1, 14, 27, 36, 42, 49, 58, 59, 60, 61, 101, 106, 110, 111, 113, 114,
+    115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 133, 150,
+    153, 157, 160, 163, 175, 180, 182, 183, 202, 210, 211, 218, 219, 220,
+  ],
+  BR: [
+    131, 138, 139, 143, 146, 152, 155, 161, 168, 170, 177, 179, 186, 187,
+    189, 190, 191, 200, 201,
+  ],
+  AU: [
+    1, 14, 27, 43, 49, 58, 59, 60, 61, 101, 103, 106, 110, 112, 113, 114,
+    115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 144, 150, 175,
+    180, 182, 192, 202, 203, 210, 211, 218, 219, 220,
+  ],
+};
+
+/**
+ * IPv6 ranges of large consumer and mobile ISPs per country. Countries
+ * without an entry get IPv4 visitors only, unless a catalog adds ranges.
+ */
+const IPV6_PREFIXES = {
+  US: ["2601::/20", "2600:1000::/28", "2600:1700::/28", "2607:fb90::/32"], // Comcast, Verizon Wireless, AT&T, T-Mobile
+  DE: ["2003::/19", "2a02:8108::/32"], // Deutsche Telekom, Vodafone
+  FR: ["2a01:cb00::/24", "2a01:e00::/26"], // Orange, Free
+  GB: ["2a00:2380::/25"], // BT
+  NL: ["2001:1c00::/23"], // Ziggo
+  JP: ["240b::/24", "2001:268::/32"], // SoftBank, KDDI
+  BR: ["2804::/16"], // NIC.br allocations
+  AU: ["2001:8000::/20"], // Telstra
+};
+
+/**
+ * IP ranges bots crawl from — the ones Google, Bing and OpenAI publish,
+ * and the provider ranges of crawlers that don't (data/crawler-ranges.json)
+ */
+const CRAWLER_RANGES_FILE = new URL("./data/crawler-ranges.json", import.meta.url);
+
+// ============================================================================
+// Loading and validation
+// ============================================================================
+
+const LANGUAGE_RANGE = /^(\*|[a-z]{2,3}(-[a-z0-9]{1,8})*)(;q=(0(\.\d{1,3})?|1(\.0{1,3})?))?$/i;
+
+/**
+ * Weight column/field: optional, a positive number (default 1)
+ */
+function readWeight(raw, where) {
+  if (raw === undefined || raw === null || raw === "") return 1;
+  const weight = Number(raw);
+  if (!(weight > 0)) throw new Error(`${where}: "weight" must be a positive number (got "${raw}")`);
+  return weight;
+}
+
+/**
+ * A catalog of single strings ({ [field], weight }), from plain strings
+ * in JSON or objects/CSV rows with a `field` column
+ */
+function stringEntry(field, validate) {
+  return (raw, where) => {
+    const entry = typeof raw === "string" ? { [field]: raw } : raw;
+    if (!entry || typeof entry !== "object") throw new Error(`${where}: expected a string or an object with "${field}"`);
+    const value = typeof entry[field] === "string" ? entry[field].trim() : "";
+    if (!value) throw new Error(`${where}: "${field}" is required`);
+    const problem = validate(value);
+    if (problem) throw new Error(`${where}: ${problem}`);
+    return { [field]: value, weight: readWeight(entry.weight, where) };
+  };
+}
+
+const userAgentString = stringEntry("ua", (ua) =>
+  /[^\x20-\x7e]/.test(ua) ? "User-Agent must be printable ASCII" : null,
+);
+
+/**
+ * User-Agent entry with its browser family and version — given, or
+ * detected from the string
+ */
+function userAgentEntry(raw, where) {
+  const entry = userAgentString(raw, where);
+  const detected = detectBrowser(entry.ua);
+  const browser = String(raw?.browser ?? "").trim().toLowerCase() || detected.browser;
+  if (!BROWSER_FAMILIES.includes(browser)) {
+    throw new Error(`${where}: "browser" must be one of ${BROWSER_FAMILIES.join(", ")} (got "${raw.browser}")`);
+  }
+  const version = String(raw?.version ?? "").trim() || (browser === detected.browser ? detected.version : "");
+  if (version && !/^\d+(\.\d+)*$/.test(version)) throw new Error(`${where}: "version" must look like "120.0.1" (got "${version}")`);
+  return { ...entry, browser, version };
+}
+
+/**
+ * In-app User-Agent entry: also the app (detected when empty) and the
+ * Referer the app sends (none when empty)
+ */
+function inAppUserAgentEntry(raw, where) {
+  const entry = userAgentEntry(raw, where);
+  const app = String(raw?.app ?? "").trim().toLowerCase() || detectApp(entry.ua);
+  if (!/^[a-z0-9_-]+$/.test(app)) throw new Error(`${where}: "app" must be a short name like "instagram" (got "${raw.app}")`);
+  const referer = String(raw?.referer ?? "").trim();
+  return { ...entry, app, ...(referer && { referer: refererString({ referer }, where).referer }) };
+}
+
+const languageString = stringEntry("language", (language) => {
+  const bad = language.split(",").map((part) => part.trim()).find((part) => !LANGUAGE_RANGE.test(part));
+  return bad !== undefined ? `invalid Accept-Language range "${bad}" (expected e.g. "da-DK,da;q=0.9")` : null;
+});
+
+/**
+ * Accept-Language entry, optionally tied to a visitor country
+ */
+function languageEntry(raw, where) {
+  const entry = languageString(raw, where);
+  const country = String(raw?.country ?? "").trim().toUpperCase();
+  if (!country) return entry;
+  if (!/^[A-Z]{2}$/.test(country)) throw new Error(`${where}: "country" must be a two-letter ISO code (got "${raw.country}")`);
+  return { ...entry, country };
+}
+
+const refererString = stringEntry("referer", (referer) => {
+  const unknown = [...referer.matchAll(/\{([^{}]*)\}/g)]
+    .map((match) => match[1])
+    .find((name) => name !== "google" && !/^id(:\d+)?$/.test(name) && !name.includes("|"));
+  if (unknown !== undefined) return `unknown placeholder "{${unknown}}" in referer (use {google}, {id}, {id:N} or {a|b|c})`;
+  try {
+    const url = new URL(expandReferer(referer, "US", () => 0));
+    return /^https?:$/.test(url.protocol) ? null : `referer must be an http(s) URL (got "${referer}")`;
+  } catch {
+    return `referer must be an absolute URL (got "${referer}")`;
+  }
+});
+
+/**
+ * Referer entry with its channel — given, or looked up by host
+ */
+function refererEntry(raw, where) {
+  const entry = refererString(raw, where);
+  const channel = String(raw?.channel ?? "").trim().toLowerCase() || refererChannel(entry.referer);
+  if (!(channel in REFERER_CHANNELS)) {
+    throw new Error(`${where}: "channel" must be one of ${Object.keys(REFERER_CHANNELS).join(", ")} (got "${raw.channel}")`);
+  }
+  return { ...entry, channel };
+}
+
+function locationEntry(raw, where) {
+  if (!raw || typeof raw !== "object") throw new Error(`${where}: expected a location object`);
+  const country = String(raw.country ?? "").trim().toUpperCase();
+  if (!/^[A-Z]{2}$/.test(country)) throw new Error(`${where}: "country" must be a two-letter ISO code (got "${raw.country ?? ""}")`);
+
+  let city = String(raw.city ?? "").trim();
+  if (!city) throw new Error(`${where}: "city" is required`);
+  try {
+    city = decodeURIComponent(city); // files may hold plain or percent-encoded names
+  } catch {}
+
+  const coordinate = (key, limit) => {
+    const value = String(raw[key] ?? "").trim();
+    if (value === "" || isNaN(Number(value)) || Math.abs(Number(value)) > limit) {
+      throw new Error(`${where}: "${key}" must be a number between -${limit} and ${limit} (got "${raw[key] ?? ""}")`);
+    }
+    return value;
+  };
+  const latitude = coordinate("latitude", 90);
+  const longitude = coordinate("longitude", 180);
+
+  const timezone = String(raw.timezone ?? "").trim();
+  const badTimezone = new Error(`${where}: "timezone" must be an IANA time zone like "Europe/Oslo" (got "${timezone}")`);
+  if (!timezone) throw badTimezone;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+  } catch {
+    throw badTimezone;
+  }
+
+  return {
+    country,
+    city: encodeURIComponent(city), // stored percent-encoded, as Vercel sends it
+    region: String(raw.region ?? "").trim(),
+    latitude,
+    longitude,
+    timezone,
+    weight: readWeight(raw.weight, where),
+  };
+}
+
+/**
+ * IP ranges: a JSON object { "NO": [46, 77, ...] }, or JSON/CSV rows of
+ * { country, octets } where octets is a number or a space/semicolon list
+ */
+function readOctets(rows, where) {
+  const byCountry = {};
+  const list = Array.isArray(rows)
+    ? rows
+    : Object.entries(rows).map(([country, octets]) => ({ country, octets }));
+
+  list.forEach((row, i) => {
+    const at = `${where} ${Array.isArray(rows) ? `row ${i + 1}` : `"${row.country}"`}`;
+    if (!row || typeof row !== "object") throw new Error(`${at}: expected { country, octets }`);
+    const country = String(row.country ?? "").trim().toUpperCase();
+    if (!/^[A-Z]{2}$/.test(country)) throw new Error(`${at}: "country" must be a two-letter ISO code (got "${row.country ?? ""}")`);
+    const raw = row.octets ?? row.octet;
+    const values = Array.isArray(raw) ? raw : String(raw ?? "").split(/[\s;]+/).filter(Boolean);
+    if (values.length === 0) throw new Error(`${at}: "octets" is required`);
+    for (const value of values) {
+      const octet = Number(value);
+      // 0, 10 (private), 127 (loopback) and 224+ (multicast/reserved) never reach a site
+      if (!Number.isInteger(octet) || octet < 1 || octet > 223 || octet === 10 || octet === 127) {
+        throw new Error(`${at}: "${value}" is not a usable public first octet (1-223, not 10 or 127)`);
+      }
+      (byCountry[country] ||= new Set()).add(octet);
+    }
+  });
+  return Object.fromEntries(Object.entries(byCountry).map(([country, set]) => [country, [...set]]));
+}
+
+/**
+ * IPv6 ranges: a JSON object { "NO": ["2a01:798::/29", ...] }, or JSON/CSV
+ * rows of { country, prefix }
+ */
+function readIpv6Prefixes(rows, where) {
+  const byCountry = {};
+  const list = Array.isArray(rows)
+    ? rows
+    : Object.entries(rows).flatMap(([country, prefixes]) => [].concat(prefixes).map((prefix) => ({ country, prefix })));
+
+  list.forEach((row, i) => {
+    const at = `${where} ${Array.isArray(rows) ? `row ${i + 1}` : `"${row.country}"`}`;
+    if (!row || typeof row !== "object") throw new Error(`${at}: expected { country, prefix }`);
+    const country = String(row.country ?? "").trim().toUpperCase();
+    if (!/^[A-Z]{2}$/.test(country)) throw new Error(`${at}: "country" must be a two-letter ISO code (got "${row.country ?? ""}")`);
+    const prefix = String(row.prefix ?? "").trim();
+    const parsed = parseIpv6Prefix(prefix);
+    // Global unicast (2000::/3), and short enough to carve unique /48s from
+    if (!parsed || parsed.length < 16 || parsed.length > 48 || parsed.base >> 125n !== 1n) {
+      throw new Error(`${at}: "${prefix}" is not a global IPv6 prefix between /16 and /48 (e.g. "2a01:798::/29")`);
+    }
+    (byCountry[country] ||= new Set()).add(prefix);
+  });
+  return Object.fromEntries(Object.entries(byCountry).map(([country, set]) => [country, [...set]]));
+}
+
+/**
+ * Parse an IPv4 CIDR ("66.249.64.0/27") into { base, length } with base as
+ * an unsigned 32-bit number, or null when malformed
+ */
+export function parseIpv4Prefix(prefix) {
+  const match = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})\/(\d{1,2})$/.exec(String(prefix).trim());
+  if (!match) return null;
+  const octets = match.slice(1, 5).map(Number);
+  const length = Number(match[5]);
+  if (octets.some((octet) => octet > 255) || length > 32) return null;
+  const mask = length === 0 ? 0 : (0xffffffff << (32 - length)) >>> 0;
+  return { base: (octets.reduce((value, octet) => value * 256 + octet, 0) & mask) >>> 0, length };
+}
+
+/**
+ * Crawler ranges: a JSON object { "googlebot": { match, country, prefixes } },
+ * or JSON/CSV rows of { crawler, match, country, prefix }. `match` is a
+ * case-insensitive piece of the crawler's User-Agent; a crawler without one
+ * takes every bot no other crawler matches.
+ */
+function readCrawlerRanges(rows, where) {
+  const crawlers = {};
+  const list = Array.isArray(rows)
+    ? rows
+    : Object.entries(rows).flatMap(([crawler, entry]) =>
+      [].concat(entry?.prefixes ?? [undefined]).map((prefix) => ({ ...entry, crawler, prefix })));
+
+  list.forEach((row, i) => {
+    const at = `${where} ${Array.isArray(rows) ? `row ${i + 1}` : `"${row.crawler}"`}`;
+    if (!row || typeof row !== "object") throw new Error(`${at}: expected { crawler, match, country, prefix }`);
+    const name = String(row.crawler ?? "").trim().toLowerCase();
+    if (!name) throw new Error(`${at}: "crawler" is required`);
+    const country = String(row.country ?? "").trim().toUpperCase();
+    if (!/^[A-Z]{2}$/.test(country)) throw new Error(`${at}: "country" must be a two-letter ISO code (got "${row.country ?? ""}")`);
+    const prefix = String(row.prefix ?? "").trim();
+    const parsed = parseIpv4Prefix(prefix);
+    if (!parsed || parsed.length < 8) {
+      throw new Error(`${at}: "${prefix}" is not an IPv4 prefix between /8 and /32 (e.g. "66.249.64.0/27")`);
+    }
+    const crawler = (crawlers[name] ||= { match: "", country, prefixes: new Set() });
+    crawler.match ||= String(row.match ?? "").trim();
+    crawler.prefixes.add(prefix);
+  });
+  return Object.fromEntries(Object.entries(crawlers).map(([name, crawler]) => [name, { ...crawler, prefixes: [...crawler.prefixes] }]));
+}
+
+/**
+ * Catalogs CATALOGS can name, with built-in entries and a row validator
+ */
+const CATALOGS = {
+  desktopUserAgents: { builtin: DESKTOP_USER_AGENTS.map((agent) => ({ ...agent, weight: 1 })), entry: userAgentEntry },
+  mobileUserAgents: { builtin: MOBILE_USER_AGENTS.map((agent) => ({ ...agent, weight: 1 })), entry: userAgentEntry },
+  inAppUserAgents: { builtin: IN_APP_USER_AGENTS, entry: inAppUserAgentEntry },
+  unknownUserAgents: { builtin: UNKNOWN_USER_AGENTS, entry: userAgentEntry },
+  acceptLanguages: { builtin: ACCEPT_LANGS, entry: languageEntry },
+  referers: { builtin: REFERERS.map((entry) => ({ ...entry, channel: refererChannel(entry.referer) })), entry: refererEntry },
+  locations: { builtin: LOCATIONS.map((loc) => ({ ...loc, weight: 1 })), entry: locationEntry },
+  ipFirstOctets: { builtin: IP_FIRST_OCTETS },
+  ipv6Prefixes: { builtin: IPV6_PREFIXES },
+  crawlerRanges: { builtin: readCrawlerRanges(JSON.parse(readFileSync(CRAWLER_RANGES_FILE, "utf-8")), "data/crawler-ranges.json") },
+};
+
+export const CATALOG_NAMES = Object.keys(CATALOGS);
+
+/**
+ * Read a catalog file: .json (array, or object for ipFirstOctets) or .csv
+ * with a header row
+ */
+function readCatalogFile(file) {
+  if (!existsSync(file)) throw new Error(`Catalog file not found: ${file}`);
+  const text = readFileSync(file, "utf-8");
+  if (/\.csv$/i.test(file)) return parseCsv(text);
+  if (!/\.json$/i.test(file)) throw new Error(`Catalog file must be .json or .csv: ${file}`);
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON in catalog file ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * Resolve the catalogs for a run: built-ins, with each catalog named in
+ * `spec` replaced or extended from its file. Throws on malformed files or rows.
+ *
+ * @param {object} spec - CATALOGS: { name: "file" | { file, mode: "replace" | "extend" } }
+ * @returns {object} { desktopUserAgents: [{ ua, browser, version, weight }], acceptLanguages: [{ language, country?, weight }],
+ *   referers: [{ referer, channel, weight }], ..., ipFirstOctets: { CC: [octets] },
+ *   ipv6Prefixes: { CC: ["prefix/length"] }, crawlerRanges: { name: { match, country, prefixes } } }
+ */
+export function loadCatalogs(spec = {}) {
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) {
+    throw new Error('CATALOGS must be an object like { "locations": "locations.csv" }');
+  }
+  const catalogs = Object.fromEntries(CATALOG_NAMES.map((name) => [name, CATALOGS[name].builtin]));
+
+  for (const [name, source] of Object.entries(spec)) {
+    if (!CATALOGS[name]) {
+      throw new Error(`Unknown catalog "${name}" in CATALOGS (available: ${CATALOG_NAMES.join(", ")})`);
+    }
+    const { file, mode = "replace" } = typeof source === "string" ? { file: source } : source || {};
+    if (!file) throw new Error(`CATALOGS.${name}: "file" is required`);
+    if (mode !== "replace" && mode !== "extend") {
+      throw new Error(`CATALOGS.${name}: "mode" must be "replace" or "extend" (got "${mode}")`);
+    }
+    const data = readCatalogFile(file);
+
+    if (name === "crawlerRanges") {
+      // Per crawler, like the per-country IP ranges below
+      const crawlers = readCrawlerRanges(data, file);
+      catalogs.crawlerRanges = { ...catalogs.crawlerRanges };
+      for (const [crawler, entry] of Object.entries(crawlers)) {
+        const builtin = catalogs.crawlerRanges[crawler];
+        catalogs.crawlerRanges[crawler] = mode === "extend" && builtin
+          ? { ...entry, match: entry.match || builtin.match, prefixes: [...new Set([...builtin.prefixes, ...entry.prefixes])] }
+          : entry;
+      }
+      continue;
+    }
+
+    if (name === "ipFirstOctets" || name === "ipv6Prefixes") {
+      const ranges = name === "ipFirstOctets" ? readOctets(data, file) : readIpv6Prefixes(data, file);
+      // Per country: replace swaps its list, extend adds to it
+      catalogs[name] = { ...catalogs[name] };
+      for (const [country, list] of Object.entries(ranges)) {
+        catalogs[name][country] = mode === "extend"
+          ? [...new Set([...(catalogs[name][country] || []), ...list])]
+          : list;
+      }
+      continue;
+    }
+
+    if (!Array.isArray(data)) throw new Error(`Catalog file ${file}: expected a JSON array of entries`);
+    const csv = /\.csv$/i.test(file);
+    // CSV rows are numbered as in the file, after the header line
+    const entries = data.map((row, i) => CATALOGS[name].entry(row, `${file} ${csv ? "line" : "entry"} ${csv ? i + 2 : i + 1}`));
+    if (entries.length === 0 && mode === "replace") throw new Error(`Catalog file ${file} has no entries`);
+    catalogs[name] = mode === "extend" ? [...catalogs[name], ...entries] : entries;
+  }
+
+  const missing = [...new Set(catalogs.locations.map((loc) => loc.country))]
+    .filter((country) => !catalogs.ipFirstOctets[country]);
+  if (missing.length > 0) {
+    console.warn(`No IP ranges for ${missing.join(", ")} — using US ranges (add them to an ipFirstOctets catalog)`);
+  }
+  return catalogs;
+}
+
+// ============================================================================
+// Geography mix
+// ============================================================================
+
+/**
+ * Parse GEO_MIX: a list of { country, weight, cities?: [{ city, weight }] }
+ * (from the config file, or JSON), or the short env form "DK:70,DE:20,*:10".
+ * Country "*" stands for every country not listed. Invalid entries are dropped.
+ */
+export function parseGeoMix(raw) {
+  let mix = raw || [];
+  if (typeof mix === "string") {
+    const text = mix.trim();
+    if (text.startsWith("[")) {
+      try {
+        mix = JSON.parse(text);
+      } catch (e) {
+        console.warn("Failed to parse GEO_MIX:", e.message);
+        return [];
+      }
+    } else {
+      mix = text.split(",").filter((part) => part.trim()).map((part) => {
+        const [country, weight] = part.split(":");
+        return { country, weight };
+      });
+    }
+  }
+  if (!Array.isArray(mix)) {
+    console.warn("GEO_MIX must be a list of { country, weight } entries");
+    return [];
+  }
+
+  return mix.flatMap((entry) => {
+    const country = String(entry?.country ?? "").trim().toUpperCase();
+    const weight = Number(entry?.weight);
+    if (!/^([A-Z]{2}|\*)$/.test(country) || !(weight >= 0)) {
+      console.warn(`Ignoring GEO_MIX entry ${JSON.stringify(entry)} (expected a country code or "*" and a weight >= 0)`);
+      return [];
+    }
+    const cities = (Array.isArray(entry.cities) ? entry.cities : []).filter((c) => {
+      const valid = c && String(c.city ?? "").trim() && Number(c.weight) >= 0;
+      if (!valid) console.warn(`Ignoring GEO_MIX city ${JSON.stringify(c)} for ${country} (expected { city, weight })`);
+      return valid;
+    });
+    return [{ country, weight, cities: cities.map((c) => ({ city: String(c.city).trim(), weight: Number(c.weight) })) }];
+  });
+}
+
+const cityName = (city) => decodeURIComponent(city).toLowerCase();
+
+/**
+ * Re-weight catalog locations by a geography mix: each country's weight is
+ * split over its listed cities by city weight (or over all its locations),
+ * and within that by catalog weight. Without a mix the catalog is used as is.
+ */
+export function applyGeoMix(locations, mix = []) {
+  if (mix.length === 0) return locations;
+  const listed = new Set(mix.map((entry) => entry.country).filter((country) => country !== "*"));
+  const sum = (items) => items.reduce((total, item) => total + item.weight, 0);
+  const result = [];
+
+  for (const entry of mix) {
+    if (!(entry.weight > 0)) continue;
+    const group = locations.filter((loc) =>
+      entry.country === "*" ? !listed.has(loc.country) : loc.country === entry.country,
+    );
+    if (group.length === 0) {
+      console.warn(`GEO_MIX: no locations for ${entry.country} in the locations catalog (add them with CATALOGS.locations)`);
+      continue;
+    }
+
+    let parts = [{ weight: 1, locations: group }];
+    const cities = entry.cities.filter((c) => c.weight > 0);
+    if (cities.length > 0) {
+      parts = cities
+        .map((c) => ({ ...c, locations: group.filter((loc) => cityName(loc.city) === c.city.toLowerCase()) }))
+        .filter((part) => {
+          if (part.locations.length === 0) console.warn(`GEO_MIX: no location "${part.city}" in ${entry.country}`);
+          return part.locations.length > 0;
+        });
+      if (parts.length === 0) continue;
+    }
+
+    const partTotal = sum(parts);
+    for (const part of parts) {
+      const locationTotal = sum(part.locations);
+      for (const loc of part.locations) {
+        result.push({ ...loc, weight: entry.weight * (part.weight / partTotal) * (loc.weight / locationTotal) });
+      }
+    }
+  }
+
+  if (result.length === 0) {
+    console.warn("GEO_MIX matches no catalog locations — using the catalog weights");
+    return locations;
+  }
+  return result;
+}
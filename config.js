@@ -4,6 +4,10 @@
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from "fs";
 import { homedir } from "os";
 import { join } from "path";
+import { GEO_PROFILE_NAMES, parseGeoProfiles, parseCustomGeoHeaders } from "./geoheaders.js";
+import { parseGeoMix } from "./catalogs.js";
+import { parseBrowserMix } from "./useragents.js";
+import { ANALYTICS_EMITTER_NAMES } from "./analytics.js";
 
 const CONFIG_DIR = join(homedir(), ".hitmaker");
 const CONFIG_FILE = join(CONFIG_DIR, "config.json");
@@ -16,20 +20,62 @@ export const DEFAULT_CONFIG = {
   MIN_PER_MIN: 1,
   MAX_PER_MIN: 25,
   CONCURRENT: 1,
+  MAX_IN_FLIGHT: 50, // open requests per link before dispatch waits for a response
+  HIGH_THROUGHPUT: false, // keep-alive connection pooling, no per-hit log lines
+  MAX_SOCKETS: 64, // pooled connections per link (high-throughput mode)
+  FOLLOW_REDIRECTS: false, // follow Location headers and record where each hit lands
+  MAX_REDIRECTS: 5, // hops to follow before giving up
+  SESSION_MODE: false, // multi-page visits with a cookie jar instead of single hits
+  SESSION_PAGES_MIN: 1, // follow-up pages per non-bounced session
+  SESSION_PAGES_MAX: 4,
+  BOUNCE_RATE: 40, // % of sessions that leave after the landing page
+  THINK_TIME_MIN: 5, // seconds between pages
+  THINK_TIME_MAX: 30,
+  SESSION_PAGES: "", // follow-up pages (comma-separated paths/URLs; "" = follow links found on the page)
   METHOD: "GET",
   TIMEOUT_MS: 5000,
-  DEVICE_RATIO: 60, // 60 = 60% desktop, 40% mobile (of non-unknown traffic)
+  DEVICE_RATIO: 60, // 60 = 60% desktop, 40% mobile (of traffic that is neither unknown nor in-app)
   UNKNOWN_RATIO: 5, // % of total traffic that uses unknown/unclassifiable device
+  INAPP_RATIO: 0, // % of total traffic from in-app browsers and QR scanners
+  UA_SOURCE: "generated", // desktop/mobile User-Agents: "generated" (BROWSER_MIX) | "catalog" (desktopUserAgents/mobileUserAgents)
+  BROWSER_MIX: [], // browser/OS shares: [{ browser: "chrome", os: "windows", weight: 46 }] ([] = built-in market shares)
+  ENGLISH_FALLBACK: 10, // % of visitors sending an English Accept-Language instead of their country's
+  DIRECT_TRAFFIC: 0, // % of visits with no Referer (typed, scanned or opened from an app)
+  BOT_ROBOTS_TXT: false, // bots fetch /robots.txt before the link (once a day per bot IP)
   MIN_ACTIVE: 5,
   MAX_ACTIVE: 15,
   IDLE_ODDS: 0.75,
   MIN_IDLE: 1,
   MAX_IDLE: 15,
-  UNIQUE_IP_PROB: 0.95,
+  SCHEDULE_PROFILE: "flat",     // "flat" | "business_hours" | "evening_peak" | "daytime" | "custom"
+  SCHEDULE_WEIGHTS: "",         // 24 comma-separated hourly weights (custom profile)
+  SCHEDULE_TIMEZONE: "local",   // "local" (this machine's clock) | "visitor" (each location's timezone)
+  ARRIVAL_MODEL: "uniform",     // "uniform" (±10% jitter) | "poisson" | "bursty"
+  BURST_SIZE: 5,                // mean hits per burst (bursty model)
+  FLASH_CROWDS: [],             // scheduled spikes: [{ at: "14:30" | ISO date, minutes, multiplier }]
+  FLASH_CROWD_CHANCE: 0,        // chance per hour of a random flash crowd (0-1)
+  FLASH_CROWD_MULTIPLIER: 5,    // rate multiplier during a flash crowd
+  FLASH_CROWD_MINUTES: 3,       // flash crowd duration (minutes)
+  SCENARIO: "",                 // scenario file (.json/.yaml) replacing random phases ("" = off)
+  UNIQUE_IP_PROB: 0.95, // chance a visit is by a new visitor (else a returning one from the pool)
+  VISITOR_POOL_SIZE: 10000, // returning visitors remembered per link
+  IPV6_SHARE: 0, // % of new visitors with an IPv6 address (countries with IPv6 ranges only)
+  IPV6_PREFIX_LENGTH: 64, // IPv6 visitors are unique, and keep their address, at this prefix (48 | 56 | 64)
+  GEO_HEADER_PROFILES: ["generic", "vercel"], // spoofed IP/geo headers without a proxy (see geoheaders.js)
+  GEO_HEADERS_CUSTOM: {},       // custom profile: { "Header-Name": "country" | "city" | "ip" | ... }
+  GEO_MIX: [],                  // country/city shares: [{ country: "DK", weight: 70, cities: [{ city, weight }] }] ([] = catalog weights)
+  CATALOGS: {},                 // catalog overrides: { locations: "file.csv" | { file, mode: "extend" } } (see catalogs.js)
+  ANALYTICS: "none",            // page views sent to an analytics tool: "none" | "ga4" | "plausible" | "matomo" | "umami"
+  ANALYTICS_ENDPOINT: "",       // collection URL, or a self-hosted instance's origin ("" = the hosted service)
+  ANALYTICS_SITE_ID: "",        // GA4 measurement ID | Plausible domain | Matomo site ID | Umami website ID
+  ANALYTICS_SECRET: "",         // GA4 API secret | Matomo token_auth (IP/location overrides)
   PROXY_MODE: "none",           // "none" | "free" | "url" | "service"
   PROXY_SERVICE_URL: "",        // rotating proxy endpoint (service mode) — persists across mode switches
   PROXY_LIST_URL: "",           // proxy list URL or file path (url mode)
   PROXY_REFRESH_MIN: 5,        // how often to refresh free proxy list (minutes)
+  SEED: "",                     // PRNG seed for reproducible runs ("" = random)
+  LEDGER_DIR: "",               // directory for per-hit ledgers ("" = off)
+  LEDGER_FORMAT: "jsonl",       // "jsonl" | "csv"
   URL_PARAMS: [
     { key: "qr", value: "1", probability: 1, payloads: [] },
   ],
@@ -126,20 +172,76 @@ export function getConfig() {
     MIN_PER_MIN: Number(process.env.MIN_PER_MIN || saved.MIN_PER_MIN),
     MAX_PER_MIN: Number(process.env.MAX_PER_MIN || saved.MAX_PER_MIN),
     CONCURRENT: Number(process.env.CONCURRENT || saved.CONCURRENT),
+    MAX_IN_FLIGHT: Number(process.env.MAX_IN_FLIGHT || saved.MAX_IN_FLIGHT || DEFAULT_CONFIG.MAX_IN_FLIGHT),
+    HIGH_THROUGHPUT: process.env.HIGH_THROUGHPUT
+      ? process.env.HIGH_THROUGHPUT === "true"
+      : saved.HIGH_THROUGHPUT ?? DEFAULT_CONFIG.HIGH_THROUGHPUT,
+    MAX_SOCKETS: Number(process.env.MAX_SOCKETS || saved.MAX_SOCKETS || DEFAULT_CONFIG.MAX_SOCKETS),
+    FOLLOW_REDIRECTS: process.env.FOLLOW_REDIRECTS
+      ? process.env.FOLLOW_REDIRECTS === "true"
+      : saved.FOLLOW_REDIRECTS ?? DEFAULT_CONFIG.FOLLOW_REDIRECTS,
+    MAX_REDIRECTS: Number(process.env.MAX_REDIRECTS || saved.MAX_REDIRECTS || DEFAULT_CONFIG.MAX_REDIRECTS),
+    SESSION_MODE: process.env.SESSION_MODE
+      ? process.env.SESSION_MODE === "true"
+      : saved.SESSION_MODE ?? DEFAULT_CONFIG.SESSION_MODE,
+    SESSION_PAGES_MIN: Number(process.env.SESSION_PAGES_MIN ?? saved.SESSION_PAGES_MIN ?? DEFAULT_CONFIG.SESSION_PAGES_MIN),
+    SESSION_PAGES_MAX: Number(process.env.SESSION_PAGES_MAX ?? saved.SESSION_PAGES_MAX ?? DEFAULT_CONFIG.SESSION_PAGES_MAX),
+    BOUNCE_RATE: Number(process.env.BOUNCE_RATE ?? saved.BOUNCE_RATE ?? DEFAULT_CONFIG.BOUNCE_RATE),
+    THINK_TIME_MIN: Number(process.env.THINK_TIME_MIN ?? saved.THINK_TIME_MIN ?? DEFAULT_CONFIG.THINK_TIME_MIN),
+    THINK_TIME_MAX: Number(process.env.THINK_TIME_MAX ?? saved.THINK_TIME_MAX ?? DEFAULT_CONFIG.THINK_TIME_MAX),
+    SESSION_PAGES: process.env.SESSION_PAGES ?? saved.SESSION_PAGES ?? DEFAULT_CONFIG.SESSION_PAGES,
     METHOD: process.env.METHOD || saved.METHOD || DEFAULT_CONFIG.METHOD,
     TIMEOUT_MS: Number(process.env.TIMEOUT_MS || saved.TIMEOUT_MS),
     DEVICE_RATIO: Number(process.env.DEVICE_RATIO || saved.DEVICE_RATIO),
     UNKNOWN_RATIO: Number(process.env.UNKNOWN_RATIO ?? saved.UNKNOWN_RATIO ?? DEFAULT_CONFIG.UNKNOWN_RATIO),
+    // Unknown and in-app traffic share 100%; in-app gets what unknown leaves
+    INAPP_RATIO: Math.max(0, Math.min(
+      Number(process.env.INAPP_RATIO ?? saved.INAPP_RATIO ?? DEFAULT_CONFIG.INAPP_RATIO),
+      100 - Number(process.env.UNKNOWN_RATIO ?? saved.UNKNOWN_RATIO ?? DEFAULT_CONFIG.UNKNOWN_RATIO),
+    )),
+    UA_SOURCE: process.env.UA_SOURCE || saved.UA_SOURCE || DEFAULT_CONFIG.UA_SOURCE,
+    BROWSER_MIX: parseBrowserMix(process.env.BROWSER_MIX || saved.BROWSER_MIX || DEFAULT_CONFIG.BROWSER_MIX),
+    ENGLISH_FALLBACK: Number(process.env.ENGLISH_FALLBACK ?? saved.ENGLISH_FALLBACK ?? DEFAULT_CONFIG.ENGLISH_FALLBACK),
+    DIRECT_TRAFFIC: Number(process.env.DIRECT_TRAFFIC ?? saved.DIRECT_TRAFFIC ?? DEFAULT_CONFIG.DIRECT_TRAFFIC),
+    BOT_ROBOTS_TXT: process.env.BOT_ROBOTS_TXT
+      ? process.env.BOT_ROBOTS_TXT === "true"
+      : saved.BOT_ROBOTS_TXT ?? DEFAULT_CONFIG.BOT_ROBOTS_TXT,
     MIN_ACTIVE: Number(process.env.MIN_ACTIVE || saved.MIN_ACTIVE),
     MAX_ACTIVE: Number(process.env.MAX_ACTIVE || saved.MAX_ACTIVE),
     IDLE_ODDS: Number(process.env.IDLE_ODDS || saved.IDLE_ODDS),
     MIN_IDLE: Number(process.env.MIN_IDLE || saved.MIN_IDLE),
     MAX_IDLE: Number(process.env.MAX_IDLE || saved.MAX_IDLE),
     UNIQUE_IP_PROB: Number(process.env.UNIQUE_IP_PROB || saved.UNIQUE_IP_PROB),
+    VISITOR_POOL_SIZE: Number(process.env.VISITOR_POOL_SIZE || saved.VISITOR_POOL_SIZE || DEFAULT_CONFIG.VISITOR_POOL_SIZE),
+    IPV6_SHARE: Number(process.env.IPV6_SHARE ?? saved.IPV6_SHARE ?? DEFAULT_CONFIG.IPV6_SHARE),
+    IPV6_PREFIX_LENGTH: Number(process.env.IPV6_PREFIX_LENGTH || saved.IPV6_PREFIX_LENGTH || DEFAULT_CONFIG.IPV6_PREFIX_LENGTH),
+    GEO_HEADER_PROFILES: process.env.GEO_HEADER_PROFILES !== undefined
+      ? parseGeoProfiles(process.env.GEO_HEADER_PROFILES)
+      : parseGeoProfiles(saved.GEO_HEADER_PROFILES ?? DEFAULT_CONFIG.GEO_HEADER_PROFILES),
+    GEO_HEADERS_CUSTOM: parseCustomGeoHeaders(process.env.GEO_HEADERS_CUSTOM || saved.GEO_HEADERS_CUSTOM || DEFAULT_CONFIG.GEO_HEADERS_CUSTOM),
+    ANALYTICS: process.env.ANALYTICS || saved.ANALYTICS || DEFAULT_CONFIG.ANALYTICS,
+    ANALYTICS_ENDPOINT: process.env.ANALYTICS_ENDPOINT ?? saved.ANALYTICS_ENDPOINT ?? DEFAULT_CONFIG.ANALYTICS_ENDPOINT,
+    ANALYTICS_SITE_ID: process.env.ANALYTICS_SITE_ID ?? saved.ANALYTICS_SITE_ID ?? DEFAULT_CONFIG.ANALYTICS_SITE_ID,
+    ANALYTICS_SECRET: process.env.ANALYTICS_SECRET ?? saved.ANALYTICS_SECRET ?? DEFAULT_CONFIG.ANALYTICS_SECRET,
     PROXY_MODE: process.env.PROXY_MODE || saved.PROXY_MODE || DEFAULT_CONFIG.PROXY_MODE,
     PROXY_SERVICE_URL: process.env.PROXY_SERVICE_URL || process.env.PROXY_URL || saved.PROXY_SERVICE_URL || saved.PROXY_URL || DEFAULT_CONFIG.PROXY_SERVICE_URL,
     PROXY_LIST_URL: process.env.PROXY_LIST_URL || saved.PROXY_LIST_URL || DEFAULT_CONFIG.PROXY_LIST_URL,
     PROXY_REFRESH_MIN: Number(process.env.PROXY_REFRESH_MIN || saved.PROXY_REFRESH_MIN || DEFAULT_CONFIG.PROXY_REFRESH_MIN),
+    SEED: process.env.SEED ?? saved.SEED ?? DEFAULT_CONFIG.SEED,
+    LEDGER_DIR: process.env.LEDGER_DIR ?? saved.LEDGER_DIR ?? DEFAULT_CONFIG.LEDGER_DIR,
+    LEDGER_FORMAT: process.env.LEDGER_FORMAT || saved.LEDGER_FORMAT || DEFAULT_CONFIG.LEDGER_FORMAT,
+    SCHEDULE_PROFILE: process.env.SCHEDULE_PROFILE || saved.SCHEDULE_PROFILE || DEFAULT_CONFIG.SCHEDULE_PROFILE,
+    SCHEDULE_WEIGHTS: process.env.SCHEDULE_WEIGHTS ?? saved.SCHEDULE_WEIGHTS ?? DEFAULT_CONFIG.SCHEDULE_WEIGHTS,
+    SCHEDULE_TIMEZONE: process.env.SCHEDULE_TIMEZONE || saved.SCHEDULE_TIMEZONE || DEFAULT_CONFIG.SCHEDULE_TIMEZONE,
+    ARRIVAL_MODEL: process.env.ARRIVAL_MODEL || saved.ARRIVAL_MODEL || DEFAULT_CONFIG.ARRIVAL_MODEL,
+    BURST_SIZE: Number(process.env.BURST_SIZE || saved.BURST_SIZE || DEFAULT_CONFIG.BURST_SIZE),
+    FLASH_CROWDS: saved.FLASH_CROWDS || DEFAULT_CONFIG.FLASH_CROWDS,
+    CATALOGS: saved.CATALOGS || DEFAULT_CONFIG.CATALOGS,
+    GEO_MIX: parseGeoMix(process.env.GEO_MIX || saved.GEO_MIX || DEFAULT_CONFIG.GEO_MIX),
+    FLASH_CROWD_CHANCE: Number(process.env.FLASH_CROWD_CHANCE ?? saved.FLASH_CROWD_CHANCE ?? DEFAULT_CONFIG.FLASH_CROWD_CHANCE),
+    FLASH_CROWD_MULTIPLIER: Number(process.env.FLASH_CROWD_MULTIPLIER || saved.FLASH_CROWD_MULTIPLIER || DEFAULT_CONFIG.FLASH_CROWD_MULTIPLIER),
+    FLASH_CROWD_MINUTES: Number(process.env.FLASH_CROWD_MINUTES || saved.FLASH_CROWD_MINUTES || DEFAULT_CONFIG.FLASH_CROWD_MINUTES),
+    SCENARIO: process.env.SCENARIO ?? saved.SCENARIO ?? DEFAULT_CONFIG.SCENARIO,
     URL_PARAMS: saved.URL_PARAMS || DEFAULT_CONFIG.URL_PARAMS,
   };
 }
@@ -158,7 +260,7 @@ export const CONFIG_FIELDS = [
     label: "Min Hits/Min",
     type: "number",
     min: 1,
-    max: 1000,
+    max: (config) => (config.HIGH_THROUGHPUT ? 100000 : 1000),
     step: 1,
     format: (v) => v.toString(),
   },
@@ -167,7 +269,7 @@ export const CONFIG_FIELDS = [
     label: "Max Hits/Min",
     type: "number",
     min: 1,
-    max: 1000,
+    max: (config) => (config.HIGH_THROUGHPUT ? 100000 : 1000),
     step: 1,
     format: (v) => v.toString(),
   },
@@ -180,6 +282,15 @@ export const CONFIG_FIELDS = [
     step: 1,
     format: (v) => v.toString(),
   },
+  {
+    key: "MAX_IN_FLIGHT",
+    label: "Max In-Flight",
+    type: "number",
+    min: 1,
+    max: 1000,
+    step: 10,
+    format: (v) => v.toString(),
+  },
   {
     key: "TIMEOUT_MS",
     label: "Timeout (ms)",
@@ -189,6 +300,23 @@ export const CONFIG_FIELDS = [
     step: 1000,
     format: (v) => `${v}ms`,
   },
+  {
+    key: "HIGH_THROUGHPUT",
+    label: "High Throughput",
+    type: "select",
+    options: [false, true],
+    format: (v) => (v ? "On (keep-alive, up to 100k/min)" : "Off"),
+  },
+  {
+    key: "MAX_SOCKETS",
+    label: "Max Sockets",
+    type: "number",
+    min: 1,
+    max: 1024,
+    step: 1,
+    visibleWhen: (config) => !!config.HIGH_THROUGHPUT,
+    format: (v) => v.toString(),
+  },
   // Requests section
   {
     type: "separator",
@@ -201,6 +329,23 @@ export const CONFIG_FIELDS = [
     options: ["GET", "HEAD", "POST"],
     format: (v) => v,
   },
+  {
+    key: "FOLLOW_REDIRECTS",
+    label: "Follow Redirects",
+    type: "select",
+    options: [false, true],
+    format: (v) => (v ? "On (record chain + destination)" : "Off (first response only)"),
+  },
+  {
+    key: "MAX_REDIRECTS",
+    label: "Max Redirects",
+    type: "number",
+    min: 1,
+    max: 20,
+    step: 1,
+    visibleWhen: (config) => !!config.FOLLOW_REDIRECTS,
+    format: (v) => v.toString(),
+  },
   {
     key: "DEVICE_RATIO",
     label: "Desktop %",
@@ -215,18 +360,121 @@ export const CONFIG_FIELDS = [
     label: "Unknown Device %",
     type: "slider",
     min: 0,
+    max: (config) => 100 - (config.INAPP_RATIO || 0), // shares 100% with in-app traffic
+    step: 5,
+    format: (v) => `${v}% bots, crawlers and CLI tools`,
+  },
+  {
+    key: "BOT_ROBOTS_TXT",
+    label: "Bots Fetch robots.txt",
+    type: "select",
+    options: [false, true],
+    visibleWhen: (config) => config.UNKNOWN_RATIO > 0,
+    format: (v) => (v ? "On (before the link, daily per bot)" : "Off"),
+  },
+  {
+    key: "INAPP_RATIO",
+    label: "In-App / Scanner %",
+    type: "slider",
+    min: 0,
+    max: (config) => 100 - (config.UNKNOWN_RATIO || 0),
+    step: 5,
+    format: (v) => `${v}% in-app browsers and QR scanners`,
+  },
+  {
+    key: "UA_SOURCE",
+    label: "User-Agents",
+    type: "select",
+    options: ["generated", "catalog"],
+    format: (v) => (v === "catalog" ? "Catalog (desktop/mobile lists)" : "Generated (browser/OS mix)"),
+  },
+  {
+    key: "BROWSER_MIX",
+    label: "Browser/OS Mix",
+    type: "special",
+    visibleWhen: (config) => config.UA_SOURCE !== "catalog",
+    format: (v) => {
+      if (v.length === 0) return "(market share)";
+      const summary = v.map((entry) => `${entry.browser}/${entry.os} ${entry.weight}`).join(", ");
+      return summary.length > 35 ? summary.slice(0, 32) + "..." : summary;
+    },
+  },
+  {
+    key: "GEO_MIX",
+    label: "Geography Mix",
+    type: "special",
+    format: (v) => {
+      if (v.length === 0) return "(catalog weights)";
+      const total = v.reduce((sum, entry) => sum + entry.weight, 0) || 1;
+      const summary = v.map((entry) => `${entry.country} ${Math.round((entry.weight / total) * 100)}%`).join(", ");
+      return summary.length > 35 ? summary.slice(0, 32) + "..." : summary;
+    },
+  },
+  {
+    key: "ENGLISH_FALLBACK",
+    label: "English Fallback %",
+    type: "slider",
+    min: 0,
+    max: 100,
+    step: 5,
+    format: (v) => `${v}% English / ${100 - v}% local language`,
+  },
+  {
+    key: "DIRECT_TRAFFIC",
+    label: "Direct Traffic %",
+    type: "slider",
+    min: 0,
     max: 100,
     step: 5,
-    format: (v) => `${v}% unknown / ${100 - v}% desktop+mobile`,
+    format: (v) => `${v}% direct / ${100 - v}% referred`,
   },
   {
     key: "UNIQUE_IP_PROB",
-    label: "Unique IP %",
+    label: "New Visitor %",
     type: "slider",
     min: 0,
     max: 1,
     step: 0.05,
-    format: (v) => `${(v * 100).toFixed(0)}%`,
+    format: (v) => `${(v * 100).toFixed(0)}% new / ${(100 - v * 100).toFixed(0)}% returning`,
+  },
+  {
+    key: "VISITOR_POOL_SIZE",
+    label: "Visitor Pool Size",
+    type: "number",
+    min: 100,
+    max: 1000000,
+    step: 1000,
+    format: (v) => v.toString(),
+  },
+  {
+    key: "IPV6_SHARE",
+    label: "IPv6 Visitors %",
+    type: "slider",
+    min: 0,
+    max: 100,
+    step: 5,
+    format: (v) => `${v}% IPv6 / ${100 - v}% IPv4`,
+  },
+  {
+    key: "IPV6_PREFIX_LENGTH",
+    label: "IPv6 Prefix",
+    type: "select",
+    options: [48, 56, 64],
+    visibleWhen: (config) => config.IPV6_SHARE > 0,
+    format: (v) => `/${v} (one visitor per prefix)`,
+  },
+  {
+    key: "GEO_HEADER_PROFILES",
+    label: "Geo Headers",
+    type: "multiselect",
+    options: GEO_PROFILE_NAMES,
+    format: (v) => (v.length > 0 ? v.join(", ") : "(none)"),
+  },
+  {
+    key: "SEED",
+    label: "Random Seed",
+    type: "text",
+    format: (v) => v ? (v.length > 35 ? v.slice(0, 32) + "..." : v) : "(random)",
   },
   {
     key: "URL_PARAMS",
@@ -279,11 +527,141 @@ export const CONFIG_FIELDS = [
     visibleWhen: (config) => config.PROXY_MODE === "free" || config.PROXY_MODE === "url",
     format: (v) => `${v} min`,
   },
+  // Ledger section
+  {
+    type: "separator",
+    label: "Ledger",
+  },
+  {
+    key: "LEDGER_DIR",
+    label: "Ledger Directory",
+    type: "text",
+    format: (v) => v ? (v.length > 35 ? v.slice(0, 32) + "..." : v) : "(off)",
+  },
+  {
+    key: "LEDGER_FORMAT",
+    label: "Ledger Format",
+    type: "select",
+    options: ["jsonl", "csv"],
+    visibleWhen: (config) => !!config.LEDGER_DIR,
+    format: (v) => v,
+  },
+  // Analytics section
+  {
+    type: "separator",
+    label: "Analytics",
+  },
+  {
+    key: "ANALYTICS",
+    label: "Analytics Emitter",
+    type: "select",
+    options: ANALYTICS_EMITTER_NAMES,
+    format: (v) => {
+      const labels = { none: "Off (page requests only)", ga4: "GA4 Measurement Protocol", plausible: "Plausible", matomo: "Matomo", umami: "Umami" };
+      return labels[v] || v;
+    },
+  },
+  {
+    key: "ANALYTICS_ENDPOINT",
+    label: "Endpoint",
+    type: "text",
+    visibleWhen: (config) => config.ANALYTICS !== "none",
+    format: (v) => v ? (v.length > 35 ? v.slice(0, 32) + "..." : v) : "(hosted service)",
+  },
+  {
+    key: "ANALYTICS_SITE_ID",
+    label: "Site ID",
+    type: "text",
+    visibleWhen: (config) => config.ANALYTICS !== "none",
+    format: (v) => v ? (v.length > 35 ? v.slice(0, 32) + "..." : v) : "(not set)",
+  },
+  {
+    key: "ANALYTICS_SECRET",
+    label: "API Secret / Token",
+    type: "text",
+    visibleWhen: (config) => config.ANALYTICS === "ga4" || config.ANALYTICS === "matomo",
+    format: (v) => (v ? `${"*".repeat(Math.max(0, Math.min(8, v.length - 4)))}${v.slice(-4)}` : "(not set)"),
+  },
+  // Sessions section
+  {
+    type: "separator",
+    label: "Sessions",
+  },
+  {
+    key: "SESSION_MODE",
+    label: "Session Mode",
+    type: "select",
+    options: [false, true],
+    format: (v) => (v ? "On (multi-page visits, cookies)" : "Off (single hits)"),
+  },
+  {
+    key: "BOUNCE_RATE",
+    label: "Bounce Rate",
+    type: "slider",
+    min: 0,
+    max: 100,
+    step: 5,
+    visibleWhen: (config) => !!config.SESSION_MODE,
+    format: (v) => `${v}%`,
+  },
+  {
+    key: "SESSION_PAGES_MIN",
+    label: "Min Follow-up Pages",
+    type: "number",
+    min: 0,
+    max: 50,
+    step: 1,
+    visibleWhen: (config) => !!config.SESSION_MODE,
+    format: (v) => v.toString(),
+  },
+  {
+    key: "SESSION_PAGES_MAX",
+    label: "Max Follow-up Pages",
+    type: "number",
+    min: 0,
+    max: 50,
+    step: 1,
+    visibleWhen: (config) => !!config.SESSION_MODE,
+    format: (v) => v.toString(),
+  },
+  {
+    key: "THINK_TIME_MIN",
+    label: "Min Think Time (s)",
+    type: "number",
+    min: 0,
+    max: 600,
+    step: 1,
+    visibleWhen: (config) => !!config.SESSION_MODE,
+    format: (v) => `${v}s`,
+  },
+  {
+    key: "THINK_TIME_MAX",
+    label: "Max Think Time (s)",
+    type: "number",
+    min: 0,
+    max: 600,
+    step: 1,
+    visibleWhen: (config) => !!config.SESSION_MODE,
+    format: (v) => `${v}s`,
+  },
+  {
+    key: "SESSION_PAGES",
+    label: "Journey Pages",
+    type: "text",
+    visibleWhen: (config) => !!config.SESSION_MODE,
+    format: (v) => v ? (v.length > 35 ? v.slice(0, 32) + "..." : v) : "(links found on each page)",
+  },
   // Schedule section
   {
     type: "separator",
     label: "Schedule",
   },
+  {
+    key: "SCENARIO",
+    label: "Scenario File",
+    type: "text",
+    format: (v) => v ? (v.length > 35 ? v.slice(0, 32) + "..." : v) : "(off — random phases)",
+  },
   {
     key: "MIN_ACTIVE",
     label: "Active Min",
@@ -329,5 +707,80 @@ export const CONFIG_FIELDS = [
     step: 1,
     format: (v) => `${v} min`,
   },
+  {
+    key: "SCHEDULE_PROFILE",
+    label: "Daily Curve",
+    type: "select",
+    options: ["flat", "business_hours", "evening_peak", "daytime", "custom"],
+    format: (v) => {
+      const labels = { flat: "Flat (no curve)", business_hours: "Business hours", evening_peak: "Evening peak", daytime: "Daytime", custom: "Custom hourly weights" };
+      return labels[v] || v;
+    },
+  },
+  {
+    key: "SCHEDULE_WEIGHTS",
+    label: "Hourly Weights",
+    type: "text",
+    visibleWhen: (config) => config.SCHEDULE_PROFILE === "custom",
+    format: (v) => {
+      const str = Array.isArray(v) ? v.join(",") : String(v || "");
+      return str ? (str.length > 35 ? str.slice(0, 32) + "..." : str) : "(24 values, 0-23h)";
+    },
+  },
+  {
+    key: "SCHEDULE_TIMEZONE",
+    label: "Curve Timezone",
+    type: "select",
+    options: ["local", "visitor"],
+    visibleWhen: (config) => config.SCHEDULE_PROFILE !== "flat",
+    format: (v) => (v === "visitor" ? "Visitor's local time" : "This machine's clock"),
+  },
+  {
+    key: "ARRIVAL_MODEL",
+    label: "Arrivals",
+    type: "select",
+    options: ["uniform", "poisson", "bursty"],
+    format: (v) => {
+      const labels = { uniform: "Uniform (±10% jitter)", poisson: "Poisson (random)", bursty: "Bursty (clustered)" };
+      return labels[v] || v;
+    },
+  },
+  {
+    key: "BURST_SIZE",
+    label: "Burst Size",
+    type: "number",
+    min: 2,
+    max: 100,
+    step: 1,
+    visibleWhen: (config) => config.ARRIVAL_MODEL === "bursty",
+    format: (v) => `~${v} hits`,
+  },
+  {
+    key: "FLASH_CROWD_CHANCE",
+    label: "Flash Crowd Chance",
+    type: "slider",
+    min: 0,
+    max: 1,
+    step: 0.05,
+    format: (v) => (v > 0 ? `${(v * 100).toFixed(0)}% per hour` : "Off"),
+  },
+  {
+    key: "FLASH_CROWD_MULTIPLIER",
+    label: "Flash Multiplier",
+    type: "number",
+    min: 2,
+    max: 100,
+    step: 1,
+    format: (v) => `x${v}`,
+  },
+  {
+    key: "FLASH_CROWD_MINUTES",
+    label: "Flash Duration",
+    type: "number",
+    min: 1,
+    max: 60,
+    step: 1,
+    format: (v) => `${v} min`,
+  },
 ];
 
@@ -0,0 +1,165 @@
+// geoheaders.js
+// Geo header profiles: the client-IP and location headers an edge network adds
+// before a request reaches the origin. Without a real proxy, hitmaker spoofs
+// them so the target's geo handling sees each visitor's IP and location.
+// Several profiles can be enabled at once; later ones win on a name clash.
+//
+// A custom profile maps header names to visitor fields (GEO_HEADERS_CUSTOM):
+//   { "X-Client-IP": "ip", "X-Geo-Country": "country", "X-Geo-City": "city" }
+
+/**
+ * Visitor fields a custom profile can map a header to
+ */
+export const GEO_FIELDS = {
+  ip: (v) => v.ip,
+  country: (v) => v.location.country,
+  region: (v) => v.location.region,
+  city: (v) => asciiCity(v.location),
+  city_encoded: (v) => v.location.city, // percent-encoded UTF-8, as Vercel sends it
+  latitude: (v) => v.location.latitude,
+  longitude: (v) => v.location.longitude,
+  timezone: (v) => v.location.timezone,
+  device: (v) => v.uaClass,
+};
+
+/**
+ * City name folded to ASCII ("São Paulo" -> "Sao Paulo") — header values
+ * are bytes, and most edges send city names this way
+ */
+function asciiCity(location) {
+  return decodeURIComponent(location.city)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\x20-\x7e]/g, "");
+}
+
+/**
+ * Built-in profiles: (visitor, rng) -> headers
+ */
+export const GEO_PROFILES = {
+  // Plain reverse proxies and load balancers
+  generic: ({ ip }) => ({
+    "x-forwarded-for": ip,
+    "x-real-ip": ip,
+  }),
+
+  vercel: ({ location }) => ({
+    "x-vercel-ip-country": location.country,
+    "x-vercel-ip-city": location.city,
+    "x-vercel-ip-country-region": location.region,
+    "x-vercel-ip-latitude": location.latitude,
+    "x-vercel-ip-longitude": location.longitude,
+  }),
+
+  // CF-IPCountry is always on; the cf-ip* location headers come from the
+  // "Add visitor location headers" managed transform
+  cloudflare: ({ ip, location }) => ({
+    "CF-Connecting-IP": ip,
+    "CF-IPCountry": location.country,
+    "cf-ipcity": asciiCity(location),
+    "cf-region-code": location.region,
+    "cf-iplatitude": location.latitude,
+    "cf-iplongitude": location.longitude,
+    "cf-timezone": location.timezone,
+  }),
+
+  // CloudFront viewer headers (origin request policy), including device type
+  cloudfront: ({ ip, location, uaClass }, rng) => ({
+    "CloudFront-Viewer-Address": `${ip}:${1024 + Math.floor(rng() * 64512)}`,
+    "CloudFront-Viewer-Country": location.country,
+    "CloudFront-Viewer-Country-Region": location.region,
+    "CloudFront-Viewer-City": asciiCity(location),
+    "CloudFront-Viewer-Latitude": location.latitude,
+    "CloudFront-Viewer-Longitude": location.longitude,
+    "CloudFront-Viewer-Time-Zone": location.timezone,
+    "CloudFront-Is-Desktop-Viewer": String(uaClass === "desktop"),
+    "CloudFront-Is-Mobile-Viewer": String(uaClass === "mobile" || uaClass === "inapp"),
+    "CloudFront-Is-Tablet-Viewer": "false",
+    "CloudFront-Is-SmartTV-Viewer": "false",
+  }),
+
+  // Fastly adds only Fastly-Client-IP; geo is forwarded from client.geo.* in
+  // VCL or Compute, conventionally under these names (city is lowercase there)
+  fastly: ({ ip, location }) => ({
+    "Fastly-Client-IP": ip,
+    "Fastly-Geo-Country-Code": location.country,
+    "Fastly-Geo-Region": location.region,
+    "Fastly-Geo-City": asciiCity(location).toLowerCase(),
+    "Fastly-Geo-Latitude": location.latitude,
+    "Fastly-Geo-Longitude": location.longitude,
+    "Fastly-Geo-Time-Zone": location.timezone,
+  }),
+
+  // Akamai EdgeScape: one comma-separated header, city uppercase without spaces
+  akamai: ({ ip, location }) => ({
+    "True-Client-IP": ip,
+    "X-Akamai-Edgescape": [
+      `country_code=${location.country}`,
+      `region_code=${location.region}`,
+      `city=${asciiCity(location).toUpperCase().replace(/\s+/g, "")}`,
+      `lat=${location.latitude}`,
+      `long=${location.longitude}`,
+    ].join(","),
+  }),
+};
+
+export const GEO_PROFILE_NAMES = [...Object.keys(GEO_PROFILES), "custom"];
+
+/**
+ * Parse GEO_HEADER_PROFILES (array or comma-separated), dropping unknown names
+ */
+export function parseGeoProfiles(raw) {
+  const names = (Array.isArray(raw) ? raw : String(raw || "").split(","))
+    .map((name) => String(name).trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = names.filter((name) => !GEO_PROFILE_NAMES.includes(name));
+  if (unknown.length > 0) {
+    console.warn(`Unknown geo header profile(s): ${unknown.join(", ")} (available: ${GEO_PROFILE_NAMES.join(", ")})`);
+  }
+  return [...new Set(names.filter((name) => GEO_PROFILE_NAMES.includes(name)))];
+}
+
+/**
+ * Parse GEO_HEADERS_CUSTOM (object or JSON) into { header: field },
+ * dropping mappings to fields that don't exist
+ */
+export function parseCustomGeoHeaders(raw) {
+  let map = raw || {};
+  if (typeof map === "string") {
+    try {
+      map = JSON.parse(map);
+    } catch (e) {
+      console.warn("Failed to parse GEO_HEADERS_CUSTOM:", e.message);
+      return {};
+    }
+  }
+  const custom = {};
+  for (const [header, field] of Object.entries(map)) {
+    if (!(field in GEO_FIELDS)) {
+      console.warn(`GEO_HEADERS_CUSTOM: unknown field "${field}" for ${header} (available: ${Object.keys(GEO_FIELDS).join(", ")})`);
+      continue;
+    }
+    custom[header] = field;
+  }
+  return custom;
+}
+
+/**
+ * Headers for one request from the enabled profiles
+ * @param {string[]} profiles - output of parseGeoProfiles()
+ * @param {{ ip, location, uaClass }} visitor
+ * @param {object} custom - output of parseCustomGeoHeaders()
+ */
+export function buildGeoHeaders(profiles, visitor, custom = {}, rng = Math.random) {
+  const headers = new Map(); // lowercase name -> [name, value]
+  for (const name of profiles) {
+    const profileHeaders = name === "custom"
+      ? Object.fromEntries(Object.entries(custom).map(([header, field]) => [header, GEO_FIELDS[field](visitor)]))
+      : GEO_PROFILES[name](visitor, rng);
+    for (const [header, value] of Object.entries(profileHeaders)) {
+      if (value === undefined || value === null) continue;
+      headers.set(header.toLowerCase(), [header, String(value)]);
+    }
+  }
+  return Object.fromEntries(headers.values());
+}
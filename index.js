@@ -5,12 +5,17 @@
 import { fork } from "child_process";
 import { existsSync, readFileSync } from "fs";
 import { fileURLToPath } from "url";
-import { dirname, join } from "path";
+import { dirname, join, resolve } from "path";
 import logUpdate from "log-update";
 import chalk from "chalk";
 import readline from "readline";
 import { getConfig, saveConfig, saveLocalConfig, hasLocalConfig, CONFIG_FIELDS, DEFAULT_CONFIG } from "./config.js";
 import { ProxyPool } from "./proxy.js";
+import { reconcile } from "./reconcile.js";
+import { loadScenario } from "./scenario.js";
+import { loadCatalogs } from "./catalogs.js";
+import { BROWSER_OSES, OPERATING_SYSTEMS, DEFAULT_BROWSER_MIX } from "./useragents.js";
+import { parseExpectations } from "./assertions.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -64,19 +69,44 @@ function looksLikeUrl(input) {
   );
 }
 
+/**
+ * Parse per-link options following a URL in a links file
+ * ("expect=301,302 location=https://shop.example.com/* forward")
+ */
+function parseLinkOptions(tokens, where) {
+  const options = {};
+  for (const token of tokens) {
+    const [key, value] = token.split(/=(.*)/s);
+    if (!["expect", "location", "forward"].includes(key)) {
+      throw new Error(`${where}: unknown option "${key}" (expected expect=, location= or forward)`);
+    }
+    if (value === undefined && key !== "forward") {
+      throw new Error(`${where}: option "${token}" needs a value (${key}=...)`);
+    }
+    options[key === "expect" ? "status" : key] = value === undefined ? true : value;
+  }
+  try {
+    return parseExpectations(options);
+  } catch (err) {
+    throw new Error(`${where}: ${err.message}`);
+  }
+}
+
 /**
  * Parse a text file containing URLs (one per line)
- * Lines starting with # are treated as comments
+ * Lines starting with # are treated as comments; options may follow the URL
  */
 function parseTextFile(filePath) {
   if (!existsSync(filePath)) throw new Error(`File not found: ${filePath}`);
   const content = readFileSync(filePath, "utf-8");
   const links = [];
-  for (const line of content.split("\n")) {
-    const url = line.trim();
-    if (!url || url.startsWith("#")) continue;
-    if (isValidUrl(url)) links.push({ url, name: extractNameFromUrl(url) });
-  }
+  content.split("\n").forEach((line, i) => {
+    const [url, ...options] = line.trim().split(/\s+/);
+    if (!url || url.startsWith("#")) return;
+    if (!isValidUrl(url)) return;
+    const expect = parseLinkOptions(options, `${filePath}:${i + 1}`);
+    links.push({ url, name: extractNameFromUrl(url), ...(expect && { expect }) });
+  });
   return links;
 }
 
@@ -102,6 +132,70 @@ function parseInput(args) {
   return links;
 }
 
+// Headless runs without --duration, --max-hits or --max-hits-per-link
+const DEFAULT_HEADLESS_DURATION_MS = 10 * 60_000;
+
+/**
+ * Parse a duration like "90s", "10m" or "2h" into milliseconds
+ * A bare number is treated as minutes (like the other schedule settings)
+ */
+function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h)?$/);
+  if (!match) return NaN;
+  const units = { ms: 1, s: 1000, m: 60_000, h: 3_600_000 };
+  return Number(match[1]) * units[match[2] || "m"];
+}
+
+/**
+ * Split command line flags from link arguments
+ * Value flags accept both "--flag value" and "--flag=value"
+ */
+function parseFlags(args) {
+  const valueFlags = {
+    "--duration": "duration",
+    "--max-hits": "maxHits",
+    "--max-hits-per-link": "maxHitsPerLink",
+    "--max-error-rate": "maxErrorRate",
+    "--ledger": "ledger",
+    "--export": "export",
+    "--mapping": "mapping",
+    "--tolerance": "tolerance",
+    "--scenario": "scenario",
+    "--expect-status": "expectStatus",
+    "--expect-location": "expectLocation",
+  };
+  const flags = {};
+  const rest = [];
+  for (let i = 0; i < args.length; i++) {
+    const [name, inlineValue] = args[i].split(/=(.*)/s);
+    if (name === "--headless") {
+      flags.headless = true;
+    } else if (name === "--json") {
+      flags.json = true;
+    } else if (name === "--expect-forward") {
+      flags.expectForward = true;
+    } else if (valueFlags[name]) {
+      flags[valueFlags[name]] = inlineValue !== undefined ? inlineValue : args[++i];
+    } else {
+      rest.push(args[i]);
+    }
+  }
+  return { flags, rest };
+}
+
+/**
+ * Format a millisecond span as "1h 02m", "12m 04s" or "9s"
+ */
+function formatRemaining(ms) {
+  const total = Math.max(0, Math.round(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const sec = total % 60;
+  if (h > 0) return `${h}h ${String(m).padStart(2, "0")}m`;
+  if (m > 0) return `${m}m ${String(sec).padStart(2, "0")}s`;
+  return `${sec}s`;
+}
+
 /**
  * Pad a string to a specific width
  */
@@ -116,91 +210,275 @@ function pad(str, width) {
 // Process Management
 // ============================================================================
 
+/**
+ * Create an empty stats record for a link
+ */
+function createStats() {
+  return {
+    hits: 0,
+    errors: 0,
+    status: "starting",
+    currentRate: 0, // target hits/min (sum of worker rates)
+    recent: [], // request timestamps within the achieved-rate window
+    lastHit: null,
+    startedAt: Date.now(),
+    statusCodes: {}, // HTTP status -> count
+    destinations: {}, // where hits landed (FOLLOW_REDIRECTS) -> count
+    checked: 0, // hits checked against the link's expectations
+    checkFailures: 0, // hits that failed at least one check (not counted as errors)
+    failedChecks: {}, // "status" | "location" | "forward" -> count
+    sessions: { started: 0, ended: 0, bounced: 0, pageViews: 0 }, // SESSION_MODE visits (bounces among ended ones)
+    endedPageViews: 0, // pages of ended sessions — pages/visit is taken over those
+    visitorIds: new Set(), // distinct visitors seen
+    ipv6VisitorIds: new Set(), // ...of which with an IPv6 address
+    visits: 0, // hits outside sessions, plus session landings
+    returningVisits: 0,
+    botHits: 0, // responses to crawler hits (any status) — what bot filtering should remove
+    robotsTxtFetches: 0, // robots.txt requests crawlers sent first (BOT_ROBOTS_TXT), answered or not
+    robotsTxtErrors: 0, // ...of which got no response
+    analytics: { sent: 0, failed: 0 }, // page views sent to the ANALYTICS emitter (failed: non-2xx or no response)
+    transportErrors: 0, // timeouts, connection failures
+    workerPhases: {}, // workerId -> "active" | "idle"
+    workerRates: {}, // workerId -> hits/min
+    flash: 0, // flash crowd multiplier while one is running
+    scenario: null, // { name, index, total, label, stepEndsAt, endsAt } while a scenario runs
+  };
+}
+
+const ACHIEVED_WINDOW_MS = 60_000;
+
+/**
+ * Group a followed hit by where it landed: origin + path (query strings
+ * vary per hit), with the status appended when the destination failed
+ */
+function destinationKey(event) {
+  if (event.redirectError) return `(${event.redirectError})`;
+  const url = new URL(event.destination);
+  const key = `${url.host}${url.pathname}`;
+  return event.finalStatus >= 400 ? `${key} (${event.finalStatus})` : key;
+}
+
+/**
+ * Requests per minute actually sent over the last minute (or since start)
+ */
+function achievedRate(stats, now = Date.now()) {
+  while (stats.recent.length && stats.recent[0] <= now - ACHIEVED_WINDOW_MS) stats.recent.shift();
+  const windowMs = Math.min(ACHIEVED_WINDOW_MS, now - stats.startedAt);
+  if (windowMs < 5000) return null; // too early to say
+  return Math.round((stats.recent.length * 60000) / windowMs);
+}
+
+/**
+ * Count a visit and its visitor, and a session page view
+ */
+function countSessionPage(stats, event) {
+  // A visit is a single hit, or a session's landing page
+  if (event.visit && event.visit.visitorId && !(event.session && event.session.page > 0)) {
+    stats.visits++;
+    stats.visitorIds.add(event.visit.visitorId);
+    if (event.visit.ipVersion === 6) stats.ipv6VisitorIds.add(event.visit.visitorId);
+    if (event.visit.returning) stats.returningVisits++;
+  }
+  if (!event.session) return;
+  stats.sessions.pageViews++;
+  if (event.session.page === 0) stats.sessions.started++;
+}
+
+/**
+ * Count an ended session by the pages it actually visited — it can stop
+ * short of plan (no links found, a failed page, the run stopping). One page
+ * is a bounce; a session whose landing failed is no visit at all.
+ */
+function countSessionEnd(stats, event) {
+  if (event.pagesVisited === 0) return;
+  stats.sessions.ended++;
+  stats.endedPageViews += event.pagesVisited;
+  if (event.pagesVisited === 1) stats.sessions.bounced++;
+}
+
+/**
+ * Count a crawler hit and the robots.txt fetch before it
+ */
+function countCrawler(stats, event) {
+  if (!event.visit || !event.visit.crawler) return;
+  if (event.type === "hit") stats.botHits++;
+  if (event.visit.robotsTxt === null || event.visit.robotsTxt === undefined) return;
+  stats.robotsTxtFetches++;
+  if (event.visit.robotsTxt === "error") stats.robotsTxtErrors++;
+}
+
+/**
+ * Count the page view a hit sent to the analytics emitter
+ */
+function countAnalytics(stats, event) {
+  const status = event.visit && event.visit.analytics;
+  if (status === undefined || status === null) return;
+  if (status >= 200 && status < 300) stats.analytics.sent++;
+  else stats.analytics.failed++;
+}
+
+/**
+ * Apply a typed worker event (forwarded over IPC) to a link's stats
+ */
+function applyWorkerEvent(stats, event) {
+  switch (event.type) {
+    case "hit":
+      countSessionPage(stats, event);
+      countCrawler(stats, event);
+      countAnalytics(stats, event);
+      stats.recent.push(event.ts);
+      stats.statusCodes[event.status] = (stats.statusCodes[event.status] || 0) + 1;
+      if (event.redirects) {
+        const key = destinationKey(event);
+        stats.destinations[key] = (stats.destinations[key] || 0) + 1;
+      }
+      if (event.failedChecks) {
+        stats.checked++;
+        if (event.failedChecks.length > 0) stats.checkFailures++;
+        for (const { check } of event.failedChecks) {
+          stats.failedChecks[check] = (stats.failedChecks[check] || 0) + 1;
+        }
+      }
+      // 1xx-3xx count as hits, 4xx/5xx as errors
+      if (event.status < 400) {
+        stats.hits++;
+        stats.lastHit = event.ts;
+      } else {
+        stats.errors++;
+      }
+      stats.status = "active";
+      break;
+    case "error":
+      countSessionPage(stats, event);
+      countCrawler(stats, event);
+      stats.recent.push(event.ts);
+      stats.errors++;
+      if (!event.internal) stats.transportErrors++;
+      break;
+    case "session_end":
+      countSessionEnd(stats, event);
+      break;
+    case "phase_change": {
+      stats.workerPhases[event.workerId] = event.phase;
+      const phases = Object.values(stats.workerPhases);
+      stats.status = phases.includes("active") ? "active" : "idle";
+      break;
+    }
+    case "rate":
+      stats.workerRates[event.workerId] = event.rate;
+      stats.currentRate = Object.values(stats.workerRates).reduce((sum, r) => sum + r, 0);
+      break;
+    case "flash_crowd":
+      stats.flash = event.active ? event.multiplier : 0;
+      break;
+    case "scenario_step":
+      stats.scenario = { ...event };
+      break;
+    case "scenario_complete":
+      stats.scenario = null;
+      break;
+  }
+}
+
 /**
  * Spawn a worker process to simulate traffic for a single URL
  */
-function spawnWorker(url, stats, onOutput, parentProxyPool) {
-  const child = fork(WORKER_PATH, [url], {
+function spawnWorker(link, stats, onOutput, parentProxyPool) {
+  // Per-worker phase/rate state belongs to the previous process, if any
+  stats.workerPhases = {};
+  stats.workerRates = {};
+  stats.currentRate = 0;
+
+  const child = fork(WORKER_PATH, [link.url], {
     env: {
       ...process.env,
       MIN_PER_MIN: String(CONFIG.MIN_PER_MIN),
       MAX_PER_MIN: String(CONFIG.MAX_PER_MIN),
       CONCURRENT: String(CONFIG.CONCURRENT),
+      MAX_IN_FLIGHT: String(CONFIG.MAX_IN_FLIGHT),
+      HIGH_THROUGHPUT: String(CONFIG.HIGH_THROUGHPUT),
+      MAX_SOCKETS: String(CONFIG.MAX_SOCKETS),
+      FOLLOW_REDIRECTS: String(CONFIG.FOLLOW_REDIRECTS),
+      MAX_REDIRECTS: String(CONFIG.MAX_REDIRECTS),
+      SESSION_MODE: String(CONFIG.SESSION_MODE),
+      SESSION_PAGES_MIN: String(CONFIG.SESSION_PAGES_MIN),
+      SESSION_PAGES_MAX: String(CONFIG.SESSION_PAGES_MAX),
+      BOUNCE_RATE: String(CONFIG.BOUNCE_RATE),
+      THINK_TIME_MIN: String(CONFIG.THINK_TIME_MIN),
+      THINK_TIME_MAX: String(CONFIG.THINK_TIME_MAX),
+      SESSION_PAGES: CONFIG.SESSION_PAGES,
       METHOD: String(CONFIG.METHOD),
       TIMEOUT_MS: String(CONFIG.TIMEOUT_MS),
       DEVICE_RATIO: String(CONFIG.DEVICE_RATIO),
       UNKNOWN_RATIO: String(CONFIG.UNKNOWN_RATIO),
+      INAPP_RATIO: String(CONFIG.INAPP_RATIO),
+      UA_SOURCE: CONFIG.UA_SOURCE,
+      BROWSER_MIX: JSON.stringify(CONFIG.BROWSER_MIX),
+      ENGLISH_FALLBACK: String(CONFIG.ENGLISH_FALLBACK),
+      DIRECT_TRAFFIC: String(CONFIG.DIRECT_TRAFFIC),
+      BOT_ROBOTS_TXT: String(CONFIG.BOT_ROBOTS_TXT),
       MIN_ACTIVE: String(CONFIG.MIN_ACTIVE),
       MAX_ACTIVE: String(CONFIG.MAX_ACTIVE),
       IDLE_ODDS: String(CONFIG.IDLE_ODDS),
       MIN_IDLE: String(CONFIG.MIN_IDLE),
       MAX_IDLE: String(CONFIG.MAX_IDLE),
       UNIQUE_IP_PROB: String(CONFIG.UNIQUE_IP_PROB),
+      VISITOR_POOL_SIZE: String(CONFIG.VISITOR_POOL_SIZE),
+      IPV6_SHARE: String(CONFIG.IPV6_SHARE),
+      IPV6_PREFIX_LENGTH: String(CONFIG.IPV6_PREFIX_LENGTH),
+      GEO_HEADER_PROFILES: CONFIG.GEO_HEADER_PROFILES.join(","),
+      GEO_HEADERS_CUSTOM: JSON.stringify(CONFIG.GEO_HEADERS_CUSTOM),
+      ANALYTICS: String(CONFIG.ANALYTICS),
+      ANALYTICS_ENDPOINT: String(CONFIG.ANALYTICS_ENDPOINT),
+      ANALYTICS_SITE_ID: String(CONFIG.ANALYTICS_SITE_ID),
+      ANALYTICS_SECRET: String(CONFIG.ANALYTICS_SECRET),
       PROXY_MODE: String(CONFIG.PROXY_MODE),
       PROXY_SERVICE_URL: String(CONFIG.PROXY_SERVICE_URL),
       PROXY_LIST_URL: String(CONFIG.PROXY_LIST_URL),
       PROXY_REFRESH_MIN: String(CONFIG.PROXY_REFRESH_MIN),
+      SEED: String(CONFIG.SEED),
+      LEDGER_DIR: String(CONFIG.LEDGER_DIR),
+      LEDGER_FORMAT: String(CONFIG.LEDGER_FORMAT),
+      SCHEDULE_PROFILE: String(CONFIG.SCHEDULE_PROFILE),
+      SCHEDULE_WEIGHTS: Array.isArray(CONFIG.SCHEDULE_WEIGHTS) ? CONFIG.SCHEDULE_WEIGHTS.join(",") : String(CONFIG.SCHEDULE_WEIGHTS),
+      SCHEDULE_TIMEZONE: String(CONFIG.SCHEDULE_TIMEZONE),
+      ARRIVAL_MODEL: String(CONFIG.ARRIVAL_MODEL),
+      BURST_SIZE: String(CONFIG.BURST_SIZE),
+      FLASH_CROWDS: JSON.stringify(CONFIG.FLASH_CROWDS),
+      FLASH_CROWD_CHANCE: String(CONFIG.FLASH_CROWD_CHANCE),
+      FLASH_CROWD_MULTIPLIER: String(CONFIG.FLASH_CROWD_MULTIPLIER),
+      FLASH_CROWD_MINUTES: String(CONFIG.FLASH_CROWD_MINUTES),
+      SCENARIO: CONFIG.SCENARIO ? resolve(CONFIG.SCENARIO) : "",
       URL_PARAMS: JSON.stringify(CONFIG.URL_PARAMS),
+      CATALOGS: JSON.stringify(CONFIG.CATALOGS),
+      GEO_MIX: JSON.stringify(CONFIG.GEO_MIX),
+      EXPECT: link.expect ? JSON.stringify(link.expect) : "",
     },
     stdio: ["pipe", "pipe", "pipe", "ipc"],
     silent: true,
   });
 
-  // Parse stdout for hit counting
+  // Stdout/stderr are display-only — stats are driven by IPC events below
   child.stdout.on("data", (data) => {
-    const lines = data.toString().split("\n");
-    for (const line of lines) {
-      // Count successful hits (HTTP 200, 3xx redirects)
-      if (
-        line.includes(" 200 ") ||
-        line.includes(" 301 ") ||
-        line.includes(" 302 ") ||
-        line.includes(" 307 ") ||
-        line.includes(" 308 ")
-      ) {
-        stats.hits++;
-        stats.lastHit = Date.now();
-        stats.status = "active";
-      }
-      // Count 4xx/5xx as errors
-      const statusMatch = line.match(/ (4\d{2}|5\d{2}) /);
-      if (statusMatch) {
-        stats.errors++;
-        stats.status = "active"; // still running, just failing
-      }
-      // Extract current rate from ACTIVE messages
-      if (line.includes("ACTIVE")) {
-        const rateMatch = line.match(/~(\d+)\/min/);
-        if (rateMatch) stats.currentRate = parseInt(rateMatch[1]);
-        stats.status = "active";
-      }
-      // Track idle phases
-      if (line.includes("IDLE")) {
-        stats.status = "idle";
-        stats.currentRate = 0;
-      }
-      // Count errors
-      if (line.includes("ERROR")) {
-        stats.errors++;
-      }
-      onOutput(line);
-    }
+    for (const line of data.toString().split("\n")) onOutput(line);
   });
 
   child.stderr.on("data", (data) => {
-    stats.errors++;
     onOutput(data.toString());
   });
 
-  // Listen for IPC messages from worker (proxy failures)
+  // Listen for IPC messages from worker (typed simulator events, proxy failures)
   child.on("message", (msg) => {
     if (msg.type === "proxy_failed" && parentProxyPool) {
       parentProxyPool.markFailed(msg.url);
+    } else {
+      applyWorkerEvent(stats, msg);
     }
   });
 
+  // Workers stopped on purpose are killed by signal; any other non-zero exit is a crash
   child.on("exit", (code) => {
-    stats.status = code === 0 ? "stopped" : "crashed";
+    stats.status = code === 0 || child.killed ? "stopped" : "crashed";
   });
 
   // Send current proxy list if pool mode
@@ -259,7 +537,8 @@ function renderDashboard(links, statsArray, processes, selectedIndex, logs) {
     chalk.gray("    ") +
       chalk.gray(pad("NAME", 18)) +
       chalk.gray(pad("HITS", 8)) +
-      chalk.gray(pad("RATE", 10)) +
+      chalk.gray(pad("TARGET", 10)) +
+      chalk.gray(pad("ACTUAL", 10)) +
       chalk.gray(pad("ERRORS", 8)) +
       chalk.gray("URL"),
   );
@@ -267,7 +546,7 @@ function renderDashboard(links, statsArray, processes, selectedIndex, logs) {
 
   // Calculate visible range (with scrolling support)
   const terminalRows = process.stdout.rows || 24;
-  const maxVisible = Math.min(links.length, Math.max(5, terminalRows - 16));
+  const maxVisible = Math.min(links.length, Math.max(5, terminalRows - 18));
   const startIdx = Math.max(
     0,
     Math.min(
@@ -289,16 +568,27 @@ function renderDashboard(links, statsArray, processes, selectedIndex, logs) {
       ? chalk.white(pad(link.name.slice(0, 16), 18))
       : chalk.gray(pad(link.name.slice(0, 16), 18));
     const hits = chalk.yellow(pad(stat.hits, 8));
-    const rate = stat.currentRate
-      ? chalk.green(pad(`${stat.currentRate}/min`, 10))
-      : chalk.gray(pad("-", 10));
+    const rate = stat.flash
+      ? chalk.yellow(pad(`${stat.currentRate}/min⚡`, 10))
+      : stat.currentRate
+        ? chalk.green(pad(`${stat.currentRate}/min`, 10))
+        : chalk.gray(pad("-", 10));
+    // Achieved rate turns red when it falls well short of the target
+    const sent = achievedRate(stat);
+    const actual = sent === null
+      ? chalk.gray(pad("-", 10))
+      : stat.currentRate > 0 && sent < stat.currentRate * 0.9
+        ? chalk.red(pad(`${sent}/min`, 10))
+        : chalk.white(pad(`${sent}/min`, 10));
+    // Failed checks ride along in the errors column, marked ✗
+    const checks = stat.checkFailures > 0 ? ` ✗${stat.checkFailures}` : "";
     const errors =
-      stat.errors > 0
-        ? chalk.red(pad(stat.errors, 8))
+      stat.errors > 0 || checks
+        ? chalk.red(pad(`${stat.errors}${checks}`, 8))
         : chalk.gray(pad("0", 8));
-    const url = chalk.blue(link.url.slice(0, 30));
+    const url = chalk.blue(link.url.slice(0, 20));
 
-    lines.push(selector + statusIcon + name + hits + rate + errors + url);
+    lines.push(selector + statusIcon + name + hits + rate + actual + errors + url);
   }
 
   // Show scroll indicator if there are more links
@@ -308,6 +598,82 @@ function renderDashboard(links, statsArray, processes, selectedIndex, logs) {
     );
   }
 
+  // Scenario progress for the selected link
+  const scenario = statsArray[selectedIndex] && statsArray[selectedIndex].scenario;
+  if (scenario) {
+    const total = scenario.endsAt ? ` │ ${formatRemaining(scenario.endsAt - Date.now())} total` : " │ looping";
+    lines.push("");
+    lines.push(
+      chalk.magenta(` Scenario "${scenario.name}"`) +
+        chalk.gray(` step ${scenario.index + 1}/${scenario.total}: `) +
+        chalk.white(scenario.label) +
+        chalk.gray(` │ ${formatRemaining(scenario.stepEndsAt - Date.now())} left${total}`),
+    );
+  }
+
+  // Response checks for the selected link
+  const selected = statsArray[selectedIndex];
+  if (selected && selected.checked > 0) {
+    const reasons = Object.entries(selected.failedChecks).map(([check, n]) => `${check} ${n}`).join(" · ");
+    lines.push("");
+    lines.push(
+      chalk.gray(" Checks: ") +
+        chalk.green(`${selected.checked - selected.checkFailures} passed`) +
+        chalk.gray(" │ ") +
+        (selected.checkFailures > 0
+          ? chalk.red(`${selected.checkFailures} failed`) + chalk.gray(` (${reasons})`)
+          : chalk.gray("0 failed")),
+    );
+  }
+
+  // Visitor mix for the selected link
+  if (selected && selected.visits > 0) {
+    lines.push("");
+    lines.push(
+      chalk.gray(" Visitors: ") +
+        chalk.white(`${selected.visitorIds.size} unique`) +
+        (selected.ipv6VisitorIds.size > 0 ? chalk.gray(` (${selected.ipv6VisitorIds.size} IPv6)`) : "") +
+        chalk.gray(` │ ${((selected.returningVisits / selected.visits) * 100).toFixed(1)}% returning visits`) +
+        (selected.botHits > 0
+          ? chalk.gray(` │ ${selected.botHits} bot hits`) +
+            (selected.robotsTxtFetches > 0 ? chalk.gray(` (${selected.robotsTxtFetches} robots.txt`) : "") +
+            (selected.robotsTxtErrors > 0 ? chalk.red(`, ${selected.robotsTxtErrors} failed`) : "") +
+            (selected.robotsTxtFetches > 0 ? chalk.gray(")") : "")
+          : "") +
+        (selected.analytics.sent + selected.analytics.failed > 0
+          ? chalk.gray(` │ ${selected.analytics.sent} analytics events`) +
+            (selected.analytics.failed > 0 ? chalk.red(` (${selected.analytics.failed} failed)`) : "")
+          : ""),
+    );
+  }
+
+  // Session metrics for the selected link (SESSION_MODE)
+  if (selected && selected.sessions.started > 0) {
+    const { started, ended, bounced } = selected.sessions;
+    lines.push("");
+    lines.push(
+      chalk.gray(" Sessions: ") +
+        chalk.white(started) +
+        (ended > 0
+          ? chalk.gray(` │ bounce ${((bounced / ended) * 100).toFixed(1)}%`) +
+            chalk.gray(` │ ${(selected.endedPageViews / ended).toFixed(2)} pages/visit`)
+          : chalk.gray(" │ none ended yet")),
+    );
+  }
+
+  // Destination split for the selected link (FOLLOW_REDIRECTS)
+  const destinations = statsArray[selectedIndex] ? Object.entries(statsArray[selectedIndex].destinations) : [];
+  if (destinations.length > 0) {
+    const followed = destinations.reduce((sum, [, count]) => sum + count, 0);
+    lines.push("");
+    lines.push(chalk.gray.bold(" Destinations"));
+    for (const [destination, count] of destinations.sort((a, b) => b[1] - a[1]).slice(0, 4)) {
+      const pct = `${((count / followed) * 100).toFixed(1)}%`;
+      lines.push(chalk.white(`  ${pad(pct, 7)}`) + chalk.gray(pad(count, 8)) + chalk.blue(destination.slice(0, 60)));
+    }
+    if (destinations.length > 4) lines.push(chalk.gray(`  ... ${destinations.length - 4} more`));
+  }
+
   // Recent output logs
   lines.push("");
   lines.push(chalk.gray("─".repeat(79)));
@@ -327,7 +693,7 @@ function renderDashboard(links, statsArray, processes, selectedIndex, logs) {
 /**
  * Render the configuration modal
  */
-function renderConfigModal(config, selectedField, isEditing, textInput, savePrompt = false, configOnly = false) {
+function renderConfigModal(config, selectedField, isEditing, textInput, savePrompt = false, configOnly = false, optionCursor = 0) {
   const lines = [];
   const width = 60;
 
@@ -374,6 +740,10 @@ function renderConfigModal(config, selectedField, isEditing, textInput, saveProm
       } else if (field.type === "select") {
         // Show current selection with arrows
         valueDisplay = chalk.bgWhite.black(` ◀ ${formattedValue} ▶ `);
+      } else if (field.type === "multiselect") {
+        // Option under the cursor with its checkbox, then what's enabled
+        const option = field.options[optionCursor];
+        valueDisplay = chalk.bgWhite.black(` ◀ ${value.includes(option) ? "☑" : "☐"} ${option} ▶ `) + " " + chalk.gray(formattedValue);
       } else {
         // Slider for non-number fields
         valueDisplay = chalk.bgWhite.black(` ${formattedValue} `);
@@ -398,6 +768,8 @@ function renderConfigModal(config, selectedField, isEditing, textInput, saveProm
       lines.push("  " + chalk.gray("Type number") + "  " + chalk.white("Enter") + chalk.gray(" Save") + "  " + chalk.white("Esc") + chalk.gray(" Cancel"));
     } else if (field.type === "special") {
       lines.push("  " + chalk.white("Enter") + chalk.gray(" to manage") + "  " + chalk.white("Esc") + chalk.gray(" Cancel"));
+    } else if (field.type === "multiselect") {
+      lines.push("  " + chalk.white("◀/▶") + chalk.gray(" Move") + "  " + chalk.white("Space") + chalk.gray(" Toggle") + "  " + chalk.white("Enter") + chalk.gray(" Save") + "  " + chalk.white("Esc") + chalk.gray(" Cancel"));
     } else {
       lines.push("  " + chalk.white("◀/▶") + chalk.gray(" Adjust") + "  " + chalk.white("Enter") + chalk.gray(" Save") + "  " + chalk.white("Esc") + chalk.gray(" Cancel"));
     }
@@ -661,6 +1033,266 @@ function renderPayloadDetailEditor(
   return lines.join("\n");
 }
 
+/**
+ * Share of a weighted entry among its siblings, as a percentage label
+ */
+function shareLabel(entries, entry) {
+  const total = entries.reduce((sum, e) => sum + e.weight, 0);
+  return total > 0 ? `${((entry.weight / total) * 100).toFixed(0)}%` : "-";
+}
+
+/**
+ * Render the browser/OS mix editor — market share per browser and OS
+ */
+function renderBrowserMixEditor(
+  mix,
+  selectedEntry,
+  editMode,
+  editField,
+  editValue,
+) {
+  const lines = [];
+  const width = 70;
+
+  // Title
+  lines.push("");
+  lines.push(chalk.bgBlue.black.bold(" Browser/OS Mix ".padEnd(width)));
+  lines.push("");
+
+  if (mix.length === 0) {
+    lines.push(chalk.gray("  No entries — User-Agents follow the built-in market shares (D loads them)"));
+    lines.push("");
+  } else {
+    // Header
+    lines.push(
+      chalk.gray("    ") +
+        chalk.gray("BROWSER".padEnd(12)) +
+        chalk.gray("OS".padEnd(12)) +
+        chalk.gray("DEVICE".padEnd(10)) +
+        chalk.gray("WEIGHT".padEnd(10)) +
+        chalk.gray("SHARE"),
+    );
+    lines.push(chalk.gray("─".repeat(width)));
+
+    // Entries, with their share of their device class
+    mix.forEach((entry, index) => {
+      const isSelected = index === selectedEntry;
+      const prefix = isSelected ? chalk.cyan("▸ ") : "  ";
+      const device = OPERATING_SYSTEMS[entry.os];
+      const share = shareLabel(mix.filter((e) => OPERATING_SYSTEMS[e.os] === device), entry);
+      const cells = { browser: [entry.browser, 12], os: [entry.os, 12], weight: [String(entry.weight), 10] };
+      const cell = (field) => {
+        const [value, pad] = cells[field];
+        if (isSelected && editMode && editField === field) return chalk.bgWhite.black(` ${editValue}_ `.padEnd(pad));
+        return (isSelected ? (editMode ? chalk.white : chalk.cyan) : chalk.gray)(value.padEnd(pad));
+      };
+      const tint = isSelected ? (editMode ? chalk.white : chalk.cyan) : chalk.gray;
+
+      lines.push(prefix + cell("browser") + cell("os") + chalk.gray(device.padEnd(10)) + cell("weight") + tint(share));
+    });
+  }
+
+  const combos = Object.entries(BROWSER_OSES).map(([browser, oses]) => `${browser}: ${oses.join(", ")}`);
+  lines.push(chalk.gray(`  ${combos.slice(0, 3).join("  ")}`));
+  lines.push(chalk.gray(`  ${combos.slice(3).join("  ")}`));
+  lines.push(chalk.gray("  Desktop OSes share the desktop traffic, mobile OSes the mobile traffic"));
+
+  // Instructions
+  lines.push("");
+  lines.push(chalk.gray("─".repeat(width)));
+  if (editMode) {
+    lines.push(
+      "  " + chalk.gray("Type value") + "  " + chalk.white("Tab") + chalk.gray(" Next field") + "  " + chalk.white("Enter") + chalk.gray(" Save") + "  " + chalk.white("Esc") + chalk.gray(" Cancel"),
+    );
+  } else {
+    lines.push(
+      "  " + chalk.white("↑/↓") + chalk.gray(" Navigate") + "  " + chalk.white("Enter") + chalk.gray(" Edit") + "  " + chalk.white("D") + chalk.gray(" Defaults") + "  " + chalk.white("+") + chalk.gray(" Add") + "  " + chalk.white("-") + chalk.gray(" Delete") + "  " + chalk.white("Esc") + chalk.gray(" Back"),
+    );
+  }
+  lines.push("");
+
+  return lines.join("\n");
+}
+
+/**
+ * Render the geography mix editor — country weights
+ */
+function renderGeoMixEditor(
+  mix,
+  selectedEntry,
+  editMode,
+  editField,
+  editValue,
+  catalogCountries,
+) {
+  const lines = [];
+  const width = 70;
+
+  // Title
+  lines.push("");
+  lines.push(chalk.bgBlue.black.bold(" Geography Mix ".padEnd(width)));
+  lines.push("");
+
+  if (mix.length === 0) {
+    lines.push(chalk.gray("  No countries configured — locations use their catalog weights"));
+    lines.push("");
+  } else {
+    // Header
+    lines.push(
+      chalk.gray("    ") +
+        chalk.gray("COUNTRY".padEnd(16)) +
+        chalk.gray("WEIGHT".padEnd(10)) +
+        chalk.gray("SHARE".padEnd(10)) +
+        chalk.gray("CITIES"),
+    );
+    lines.push(chalk.gray("─".repeat(width)));
+
+    // Countries
+    mix.forEach((entry, index) => {
+      const isSelected = index === selectedEntry;
+      const prefix = isSelected ? chalk.cyan("▸ ") : "  ";
+      const inCatalog = entry.country === "*" || catalogCountries.includes(entry.country);
+      const countryLabel = entry.country === "*" ? "* (elsewhere)" : entry.country + (inCatalog ? "" : " (none)");
+      const cityCount = entry.cities ? entry.cities.length : 0;
+      const citiesLabel = cityCount > 0 ? `${cityCount} cit${cityCount !== 1 ? "ies" : "y"}` : "all";
+      const share = shareLabel(mix, entry);
+
+      let countryDisplay, weightDisplay, shareDisplay, citiesDisplay;
+
+      if (isSelected && editMode) {
+        countryDisplay =
+          editField === "country"
+            ? chalk.bgWhite.black(` ${editValue}_ `.padEnd(16))
+            : chalk.white(countryLabel.padEnd(16));
+        weightDisplay =
+          editField === "weight"
+            ? chalk.bgWhite.black(` ${editValue}_ `.padEnd(10))
+            : chalk.white(String(entry.weight).padEnd(10));
+        shareDisplay = chalk.white(share.padEnd(10));
+        citiesDisplay = chalk.gray(citiesLabel);
+      } else if (isSelected) {
+        countryDisplay = (inCatalog ? chalk.cyan : chalk.red)(countryLabel.padEnd(16));
+        weightDisplay = chalk.cyan(String(entry.weight).padEnd(10));
+        shareDisplay = chalk.cyan(share.padEnd(10));
+        citiesDisplay = cityCount > 0 ? chalk.cyan(citiesLabel) : chalk.gray(citiesLabel);
+      } else {
+        countryDisplay = (inCatalog ? chalk.gray : chalk.red)(countryLabel.padEnd(16));
+        weightDisplay = chalk.gray(String(entry.weight).padEnd(10));
+        shareDisplay = chalk.gray(share.padEnd(10));
+        citiesDisplay = chalk.gray(citiesLabel);
+      }
+
+      lines.push(prefix + countryDisplay + weightDisplay + shareDisplay + citiesDisplay);
+    });
+  }
+
+  lines.push(chalk.gray(`  Catalog countries: ${catalogCountries.join(", ")}  (* = all others)`));
+
+  // Instructions
+  lines.push("");
+  lines.push(chalk.gray("─".repeat(width)));
+  if (editMode) {
+    lines.push(
+      "  " + chalk.gray("Type value") + "  " + chalk.white("Tab") + chalk.gray(" Next field") + "  " + chalk.white("Enter") + chalk.gray(" Save") + "  " + chalk.white("Esc") + chalk.gray(" Cancel"),
+    );
+  } else {
+    lines.push(
+      "  " + chalk.white("↑/↓") + chalk.gray(" Navigate") + "  " + chalk.white("Enter") + chalk.gray(" Edit") + "  " + chalk.white("C") + chalk.gray(" Cities") + "  " + chalk.white("+") + chalk.gray(" Add") + "  " + chalk.white("-") + chalk.gray(" Delete") + "  " + chalk.white("Esc") + chalk.gray(" Back"),
+    );
+  }
+  lines.push("");
+
+  return lines.join("\n");
+}
+
+/**
+ * Render the city weights editor for one country of the geography mix (Level 2)
+ */
+function renderGeoCitiesEditor(
+  entry,
+  selectedCity,
+  editMode,
+  editField,
+  editValue,
+  catalogCities,
+) {
+  const lines = [];
+  const width = 70;
+  const cities = entry.cities || [];
+
+  // Title
+  lines.push("");
+  lines.push(chalk.bgMagenta.black.bold(` Cities in ${entry.country} (weight: ${entry.weight}) `.padEnd(width)));
+  lines.push("");
+
+  if (cities.length === 0) {
+    lines.push(chalk.gray("  No cities configured — every location in the country counts"));
+    lines.push("");
+  } else {
+    // Header
+    lines.push(
+      chalk.gray("    ") +
+        chalk.gray("CITY".padEnd(25)) +
+        chalk.gray("WEIGHT".padEnd(10)) +
+        chalk.gray("SHARE"),
+    );
+    lines.push(chalk.gray("─".repeat(width)));
+
+    // Cities
+    cities.forEach((city, index) => {
+      const isSelected = index === selectedCity;
+      const prefix = isSelected ? chalk.cyan("▸ ") : "  ";
+      const inCatalog = catalogCities.some((name) => name.toLowerCase() === city.city.toLowerCase());
+      const cityLabel = city.city + (inCatalog ? "" : " (none)");
+      const share = shareLabel(cities, city);
+
+      let cityDisplay, weightDisplay, shareDisplay;
+
+      if (isSelected && editMode) {
+        cityDisplay =
+          editField === "city"
+            ? chalk.bgWhite.black(` ${editValue}_ `.padEnd(25))
+            : chalk.white(cityLabel.padEnd(25));
+        weightDisplay =
+          editField === "weight"
+            ? chalk.bgWhite.black(` ${editValue}_ `.padEnd(10))
+            : chalk.white(String(city.weight).padEnd(10));
+        shareDisplay = chalk.white(share);
+      } else if (isSelected) {
+        cityDisplay = (inCatalog ? chalk.cyan : chalk.red)(cityLabel.padEnd(25));
+        weightDisplay = chalk.cyan(String(city.weight).padEnd(10));
+        shareDisplay = chalk.cyan(share);
+      } else {
+        cityDisplay = (inCatalog ? chalk.gray : chalk.red)(cityLabel.padEnd(25));
+        weightDisplay = chalk.gray(String(city.weight).padEnd(10));
+        shareDisplay = chalk.gray(share);
+      }
+
+      lines.push(prefix + cityDisplay + weightDisplay + shareDisplay);
+    });
+  }
+
+  if (catalogCities.length > 0) {
+    lines.push(chalk.gray(`  Catalog cities: ${catalogCities.join(", ")}`));
+  }
+
+  // Instructions
+  lines.push("");
+  lines.push(chalk.gray("─".repeat(width)));
+  if (editMode) {
+    lines.push(
+      "  " + chalk.gray("Type value") + "  " + chalk.white("Tab") + chalk.gray(" Next field") + "  " + chalk.white("Enter") + chalk.gray(" Save") + "  " + chalk.white("Esc") + chalk.gray(" Cancel"),
+    );
+  } else {
+    lines.push(
+      "  " + chalk.white("↑/↓") + chalk.gray(" Navigate") + "  " + chalk.white("Enter") + chalk.gray(" Edit") + "  " + chalk.white("+") + chalk.gray(" Add") + "  " + chalk.white("-") + chalk.gray(" Delete") + "  " + chalk.white("Esc") + chalk.gray(" Back"),
+    );
+  }
+  lines.push("");
+
+  return lines.join("\n");
+}
+
 // ============================================================================
 // Interactive Mode
 // ============================================================================
@@ -688,13 +1320,7 @@ async function runInteractive(links, { openConfig = false } = {}) {
   }
 
   // Initialize stats for each link
-  const statsArray = links.map(() => ({
-    hits: 0,
-    errors: 0,
-    status: "starting",
-    currentRate: 0,
-    lastHit: null,
-  }));
+  const statsArray = links.map(() => createStats());
 
   const processes = [];
   const logs = [];
@@ -705,6 +1331,7 @@ async function runInteractive(links, { openConfig = false } = {}) {
   let configModalSelectedField = 1;
   let configModalIsEditing = false;
   let configModalTextInput = "";
+  let configModalOptionCursor = 0; // highlighted option while editing a multiselect
   let configModalSavePrompt = false; // true when showing "Global or Local?" after pressing S
   let configModalDraft = { ...CONFIG };
 
@@ -729,6 +1356,26 @@ async function runInteractive(links, { openConfig = false } = {}) {
   let payloadDetailEditField = "key"; // "key", "value"
   let payloadDetailEditValue = "";
 
+  // Browser/OS mix editor state
+  let showBrowserMixEditor = false;
+  let browserMixSelectedIndex = 0;
+  let browserMixEditMode = false;
+  let browserMixEditField = "browser"; // "browser", "os", "weight"
+  let browserMixEditValue = "";
+
+  // Geography mix editor state (countries, then cities of one country)
+  let showGeoMixEditor = false;
+  let geoMixSelectedIndex = 0;
+  let geoMixEditMode = false;
+  let geoMixEditField = "country"; // "country", "weight"
+  let geoMixEditValue = "";
+  let showGeoCitiesEditor = false;
+  let geoCitySelectedIndex = 0;
+  let geoCityEditMode = false;
+  let geoCityEditField = "city"; // "city", "weight"
+  let geoCityEditValue = "";
+  let catalogLocations = null; // loaded when the geography editor first opens
+
   const addLog = (line) => {
     if (line.trim()) {
       logs.push(line.trim());
@@ -775,7 +1422,7 @@ async function runInteractive(links, { openConfig = false } = {}) {
   // Stagger process startup to avoid overwhelming the target
   for (let i = 0; i < links.length; i++) {
     await new Promise((r) => setTimeout(r, STARTUP_DELAY));
-    const child = spawnWorker(links[i].url, statsArray[i], addLog, parentProxyPool);
+    const child = spawnWorker(links[i], statsArray[i], addLog, parentProxyPool);
     processes.push(child);
     addLog(`[${links[i].name}] Process started (PID: ${child.pid})`);
   }
@@ -805,6 +1452,42 @@ async function runInteractive(links, { openConfig = false } = {}) {
           payloadEditValue,
         ),
       );
+    } else if (showGeoCitiesEditor) {
+      const entry = configModalDraft.GEO_MIX[geoMixSelectedIndex];
+      const cities = catalogLocations
+        .filter((loc) => entry.country === "*" || loc.country === entry.country)
+        .map((loc) => decodeURIComponent(loc.city));
+      logUpdate(
+        renderGeoCitiesEditor(
+          entry,
+          geoCitySelectedIndex,
+          geoCityEditMode,
+          geoCityEditField,
+          geoCityEditValue,
+          [...new Set(cities)],
+        ),
+      );
+    } else if (showBrowserMixEditor) {
+      logUpdate(
+        renderBrowserMixEditor(
+          configModalDraft.BROWSER_MIX,
+          browserMixSelectedIndex,
+          browserMixEditMode,
+          browserMixEditField,
+          browserMixEditValue,
+        ),
+      );
+    } else if (showGeoMixEditor) {
+      logUpdate(
+        renderGeoMixEditor(
+          configModalDraft.GEO_MIX,
+          geoMixSelectedIndex,
+          geoMixEditMode,
+          geoMixEditField,
+          geoMixEditValue,
+          [...new Set(catalogLocations.map((loc) => loc.country))],
+        ),
+      );
     } else if (showURLParamsEditor) {
       logUpdate(
         renderURLParamsEditor(
@@ -824,6 +1507,7 @@ async function runInteractive(links, { openConfig = false } = {}) {
           configModalTextInput,
           configModalSavePrompt,
           configOnly,
+          configModalOptionCursor,
         ),
       );
     } else {
@@ -1087,6 +1771,219 @@ async function runInteractive(links, { openConfig = false } = {}) {
         return;
       }
 
+      // Geography mix city editor is open (Level 2)
+      if (showGeoCitiesEditor) {
+        const entry = configModalDraft.GEO_MIX[geoMixSelectedIndex];
+        if (!entry.cities) entry.cities = [];
+
+        if (key.name === "escape") {
+          if (geoCityEditMode) {
+            geoCityEditMode = false;
+            geoCityEditValue = "";
+          } else {
+            showGeoCitiesEditor = false;
+            showGeoMixEditor = true;
+          }
+          render();
+          return;
+        }
+
+        if (geoCityEditMode) {
+          // Editing name/weight of a city
+          const city = entry.cities[geoCitySelectedIndex];
+          if (key.name === "tab") {
+            geoCityEditField = geoCityEditField === "city" ? "weight" : "city";
+            geoCityEditValue = "";
+          } else if (key.name === "return") {
+            if (geoCityEditField === "city") {
+              city.city = geoCityEditValue.trim() || city.city;
+            } else if (geoCityEditField === "weight") {
+              const w = Number(geoCityEditValue);
+              if (geoCityEditValue !== "" && w >= 0) city.weight = w;
+            }
+            geoCityEditMode = false;
+            geoCityEditValue = "";
+          } else if (key.name === "backspace") {
+            geoCityEditValue = geoCityEditValue.slice(0, -1);
+          } else if (str && str.length === 1 && !key.ctrl && !key.meta) {
+            geoCityEditValue += str;
+          }
+        } else {
+          if (key.name === "up") {
+            geoCitySelectedIndex = Math.max(0, geoCitySelectedIndex - 1);
+          } else if (key.name === "down") {
+            geoCitySelectedIndex = Math.min(entry.cities.length - 1, geoCitySelectedIndex + 1);
+          } else if (key.name === "return") {
+            if (entry.cities.length > 0) {
+              geoCityEditMode = true;
+              geoCityEditField = "city";
+              geoCityEditValue = "";
+            }
+          } else if (str === "+" || str === "=") {
+            // Add new city
+            entry.cities.push({ city: "City", weight: 1 });
+            geoCitySelectedIndex = entry.cities.length - 1;
+          } else if (str === "-" && entry.cities.length > 0) {
+            // Delete selected city
+            entry.cities.splice(geoCitySelectedIndex, 1);
+            geoCitySelectedIndex = Math.min(
+              geoCitySelectedIndex,
+              Math.max(0, entry.cities.length - 1),
+            );
+          }
+        }
+        render();
+        return;
+      }
+
+      // Browser/OS mix editor is open
+      if (showBrowserMixEditor) {
+        const mix = configModalDraft.BROWSER_MIX;
+
+        if (key.name === "escape") {
+          if (browserMixEditMode) {
+            browserMixEditMode = false;
+            browserMixEditValue = "";
+          } else {
+            showBrowserMixEditor = false;
+            showConfigModal = true;
+          }
+          render();
+          return;
+        }
+
+        if (browserMixEditMode) {
+          // Editing browser/os/weight of an entry
+          const entry = mix[browserMixSelectedIndex];
+          const fields = ["browser", "os", "weight"];
+          if (key.name === "tab") {
+            browserMixEditField = fields[(fields.indexOf(browserMixEditField) + 1) % fields.length];
+            browserMixEditValue = "";
+          } else if (key.name === "return") {
+            if (browserMixEditField === "weight") {
+              const w = Number(browserMixEditValue);
+              if (browserMixEditValue !== "" && w >= 0) entry.weight = w;
+            } else {
+              // Only combinations with a User-Agent template
+              const next = { ...entry, [browserMixEditField]: browserMixEditValue.trim().toLowerCase() };
+              if (BROWSER_OSES[next.browser]?.includes(next.os)) Object.assign(entry, next);
+            }
+            browserMixEditMode = false;
+            browserMixEditValue = "";
+          } else if (key.name === "backspace") {
+            browserMixEditValue = browserMixEditValue.slice(0, -1);
+          } else if (str && str.length === 1 && !key.ctrl && !key.meta) {
+            browserMixEditValue += str;
+          }
+        } else {
+          if (key.name === "up") {
+            browserMixSelectedIndex = Math.max(0, browserMixSelectedIndex - 1);
+          } else if (key.name === "down") {
+            browserMixSelectedIndex = Math.min(mix.length - 1, browserMixSelectedIndex + 1);
+          } else if (key.name === "return") {
+            if (mix.length > 0) {
+              browserMixEditMode = true;
+              browserMixEditField = "browser";
+              browserMixEditValue = "";
+            }
+          } else if (str === "d" || str === "D") {
+            // Start from the built-in market shares
+            configModalDraft.BROWSER_MIX = DEFAULT_BROWSER_MIX.map((entry) => ({ ...entry }));
+            browserMixSelectedIndex = 0;
+          } else if (str === "+" || str === "=") {
+            // Add a built-in combination not in the mix yet
+            const used = new Set(mix.map((entry) => `${entry.browser}/${entry.os}`));
+            const combo = DEFAULT_BROWSER_MIX.find((entry) => !used.has(`${entry.browser}/${entry.os}`)) || DEFAULT_BROWSER_MIX[0];
+            mix.push({ browser: combo.browser, os: combo.os, weight: 10 });
+            browserMixSelectedIndex = mix.length - 1;
+          } else if (str === "-" && mix.length > 0) {
+            // Delete selected entry
+            mix.splice(browserMixSelectedIndex, 1);
+            browserMixSelectedIndex = Math.min(
+              browserMixSelectedIndex,
+              Math.max(0, mix.length - 1),
+            );
+          }
+        }
+        render();
+        return;
+      }
+
+      // Geography mix editor is open
+      if (showGeoMixEditor) {
+        const mix = configModalDraft.GEO_MIX;
+
+        if (key.name === "escape") {
+          if (geoMixEditMode) {
+            geoMixEditMode = false;
+            geoMixEditValue = "";
+          } else {
+            showGeoMixEditor = false;
+            showConfigModal = true;
+          }
+          render();
+          return;
+        }
+
+        if (geoMixEditMode) {
+          // Editing country/weight of an entry
+          const entry = mix[geoMixSelectedIndex];
+          if (key.name === "tab") {
+            geoMixEditField = geoMixEditField === "country" ? "weight" : "country";
+            geoMixEditValue = "";
+          } else if (key.name === "return") {
+            if (geoMixEditField === "country") {
+              const country = geoMixEditValue.trim().toUpperCase();
+              if (/^([A-Z]{2}|\*)$/.test(country)) entry.country = country;
+            } else if (geoMixEditField === "weight") {
+              const w = Number(geoMixEditValue);
+              if (geoMixEditValue !== "" && w >= 0) entry.weight = w;
+            }
+            geoMixEditMode = false;
+            geoMixEditValue = "";
+          } else if (key.name === "backspace") {
+            geoMixEditValue = geoMixEditValue.slice(0, -1);
+          } else if (str && str.length === 1 && !key.ctrl && !key.meta) {
+            geoMixEditValue += str;
+          }
+        } else {
+          if (key.name === "up") {
+            geoMixSelectedIndex = Math.max(0, geoMixSelectedIndex - 1);
+          } else if (key.name === "down") {
+            geoMixSelectedIndex = Math.min(mix.length - 1, geoMixSelectedIndex + 1);
+          } else if (key.name === "return") {
+            if (mix.length > 0) {
+              geoMixEditMode = true;
+              geoMixEditField = "country";
+              geoMixEditValue = "";
+            }
+          } else if (str === "c" || str === "C") {
+            // Open city weights for the selected country
+            if (mix.length > 0) {
+              showGeoMixEditor = false;
+              showGeoCitiesEditor = true;
+              geoCitySelectedIndex = 0;
+              geoCityEditMode = false;
+            }
+          } else if (str === "+" || str === "=") {
+            // Add a catalog country not in the mix yet, else "elsewhere"
+            const used = new Set(mix.map((entry) => entry.country));
+            const country = catalogLocations.map((loc) => loc.country).find((c) => !used.has(c)) || "*";
+            mix.push({ country, weight: 10, cities: [] });
+            geoMixSelectedIndex = mix.length - 1;
+          } else if (str === "-" && mix.length > 0) {
+            // Delete selected country
+            mix.splice(geoMixSelectedIndex, 1);
+            geoMixSelectedIndex = Math.min(
+              geoMixSelectedIndex,
+              Math.max(0, mix.length - 1),
+            );
+          }
+        }
+        render();
+        return;
+      }
+
       // Config modal is open
       if (showConfigModal) {
         if (configModalIsEditing) {
@@ -1104,6 +2001,38 @@ async function runInteractive(links, { openConfig = false } = {}) {
             return;
           }
 
+          if (field.type === "special" && field.key === "BROWSER_MIX") {
+            // Open browser/OS mix editor on a copy
+            configModalDraft.BROWSER_MIX = JSON.parse(JSON.stringify(configModalDraft.BROWSER_MIX || []));
+            showBrowserMixEditor = true;
+            showConfigModal = false;
+            browserMixSelectedIndex = 0;
+            browserMixEditMode = false;
+            configModalIsEditing = false;
+            render();
+            return;
+          }
+
+          if (field.type === "special" && field.key === "GEO_MIX") {
+            // Open geography mix editor on a copy, so the live config is
+            // untouched until the draft is applied
+            if (!catalogLocations) {
+              try {
+                catalogLocations = loadCatalogs(CONFIG.CATALOGS).locations;
+              } catch {
+                catalogLocations = loadCatalogs().locations;
+              }
+            }
+            configModalDraft.GEO_MIX = JSON.parse(JSON.stringify(configModalDraft.GEO_MIX || []));
+            showGeoMixEditor = true;
+            showConfigModal = false;
+            geoMixSelectedIndex = 0;
+            geoMixEditMode = false;
+            configModalIsEditing = false;
+            render();
+            return;
+          }
+
           if (field.type === "text") {
             // Free-text input mode
             if (key.name === "return") {
@@ -1123,10 +2052,11 @@ async function runInteractive(links, { openConfig = false } = {}) {
             // Text input mode
             if (key.name === "return") {
               const num = parseInt(configModalTextInput);
+              const max = typeof field.max === "function" ? field.max(configModalDraft) : field.max;
               if (!isNaN(num)) {
                 configModalDraft[field.key] = Math.max(
                   field.min,
-                  Math.min(field.max, num),
+                  Math.min(max, num),
                 );
               }
               configModalIsEditing = false;
@@ -1157,6 +2087,27 @@ async function runInteractive(links, { openConfig = false } = {}) {
               configModalDraft[field.key] = CONFIG[field.key]; // Revert
             }
             render();
+          } else if (field.type === "multiselect") {
+            // Multiselect mode - move between options, space toggles one
+            const options = field.options;
+            if (key.name === "left") {
+              configModalOptionCursor = (configModalOptionCursor - 1 + options.length) % options.length;
+            } else if (key.name === "right") {
+              configModalOptionCursor = (configModalOptionCursor + 1) % options.length;
+            } else if (key.name === "space") {
+              const option = options[configModalOptionCursor];
+              const selected = configModalDraft[field.key];
+              // Keep option order stable regardless of toggle order
+              configModalDraft[field.key] = options.filter((o) =>
+                o === option ? !selected.includes(o) : selected.includes(o),
+              );
+            } else if (key.name === "return") {
+              configModalIsEditing = false;
+            } else if (key.name === "escape") {
+              configModalIsEditing = false;
+              configModalDraft[field.key] = CONFIG[field.key]; // Revert
+            }
+            render();
           } else {
             // Slider mode
             if (key.name === "left") {
@@ -1166,7 +2117,7 @@ async function runInteractive(links, { openConfig = false } = {}) {
               );
             } else if (key.name === "right") {
               configModalDraft[field.key] = Math.min(
-                field.max,
+                typeof field.max === "function" ? field.max(configModalDraft) : field.max,
                 configModalDraft[field.key] + field.step,
               );
             } else if (key.name === "return") {
@@ -1203,6 +2154,8 @@ async function runInteractive(links, { openConfig = false } = {}) {
               configModalIsEditing = true;
               if (field.type === "number" || field.type === "text") {
                 configModalTextInput = ""; // Start with empty field
+              } else if (field.type === "multiselect") {
+                configModalOptionCursor = 0;
               }
             }
           } else if (configModalSavePrompt) {
@@ -1225,7 +2178,7 @@ async function runInteractive(links, { openConfig = false } = {}) {
                     p.kill();
                     setTimeout(() => {
                       const child = spawnWorker(
-                        links[i].url,
+                        links[i],
                         statsArray[i],
                         addLog,
                         parentProxyPool,
@@ -1280,7 +2233,7 @@ async function runInteractive(links, { openConfig = false } = {}) {
                   p.kill();
                   setTimeout(() => {
                     const child = spawnWorker(
-                      links[i].url,
+                      links[i],
                       statsArray[i],
                       addLog,
                       parentProxyPool,
@@ -1365,15 +2318,13 @@ async function runInteractive(links, { openConfig = false } = {}) {
         } else {
           // Restart
           const child = spawnWorker(
-            links[selectedIndex].url,
+            links[selectedIndex],
             statsArray[selectedIndex],
             addLog,
             parentProxyPool,
           );
           processes[selectedIndex] = child;
-          statsArray[selectedIndex].status = "starting";
-          statsArray[selectedIndex].hits = 0;
-          statsArray[selectedIndex].errors = 0;
+          Object.assign(statsArray[selectedIndex], createStats());
           addLog(
             `[${links[selectedIndex].name}] Restarted (PID: ${child.pid})`,
           );
@@ -1396,12 +2347,281 @@ async function runInteractive(links, { openConfig = false } = {}) {
   }, UPDATE_INTERVAL);
 }
 
+// ============================================================================
+// Headless Mode
+// ============================================================================
+
+/**
+ * Build the machine-readable run summary from statsArray
+ */
+function buildSummary(links, statsArray, startedAt, reason, maxErrorRate) {
+  const elapsedMin = Math.max((Date.now() - startedAt) / 60000, 1 / 60000);
+  const summarize = (stat) => {
+    const requests = stat.hits + stat.errors;
+    return {
+      requests,
+      hits: stat.hits,
+      errors: stat.errors,
+      transportErrors: stat.transportErrors,
+      errorRate: requests > 0 ? Number((stat.errors / requests).toFixed(4)) : 0,
+      ratePerMin: Number((requests / elapsedMin).toFixed(2)),
+      statusCodes: stat.statusCodes,
+      ...(stat.checked > 0 && {
+        checked: stat.checked,
+        checkFailures: stat.checkFailures,
+        failedChecks: stat.failedChecks,
+      }),
+      ...(stat.destinations && Object.keys(stat.destinations).length > 0 && { destinations: stat.destinations }),
+      ...(stat.visits > 0 && {
+        visitors: {
+          unique: stat.visitorIds.size,
+          ipv4: stat.visitorIds.size - stat.ipv6VisitorIds.size,
+          ipv6: stat.ipv6VisitorIds.size,
+          visits: stat.visits,
+          returningVisits: stat.returningVisits,
+          returningRate: Number((stat.returningVisits / stat.visits).toFixed(4)),
+        },
+      }),
+      ...(stat.botHits > 0 && { bots: { hits: stat.botHits, robotsTxt: stat.robotsTxtFetches, robotsTxtErrors: stat.robotsTxtErrors } }),
+      ...(stat.analytics.sent + stat.analytics.failed > 0 && { analytics: stat.analytics }),
+      ...(stat.sessions && stat.sessions.started > 0 && {
+        sessions: {
+          ...stat.sessions,
+          bounceRate: stat.sessions.ended > 0 ? Number((stat.sessions.bounced / stat.sessions.ended).toFixed(4)) : null,
+          pagesPerVisit: stat.sessions.ended > 0 ? Number((stat.endedPageViews / stat.sessions.ended).toFixed(2)) : null,
+        },
+      }),
+    };
+  };
+
+  const totalStats = statsArray.reduce((acc, stat) => {
+    acc.hits += stat.hits;
+    acc.errors += stat.errors;
+    acc.transportErrors += stat.transportErrors;
+    acc.checked += stat.checked;
+    acc.checkFailures += stat.checkFailures;
+    acc.botHits += stat.botHits;
+    acc.robotsTxtFetches += stat.robotsTxtFetches;
+    acc.robotsTxtErrors += stat.robotsTxtErrors;
+    acc.analytics.sent += stat.analytics.sent;
+    acc.analytics.failed += stat.analytics.failed;
+    for (const [check, count] of Object.entries(stat.failedChecks)) {
+      acc.failedChecks[check] = (acc.failedChecks[check] || 0) + count;
+    }
+    for (const [code, count] of Object.entries(stat.statusCodes)) {
+      acc.statusCodes[code] = (acc.statusCodes[code] || 0) + count;
+    }
+    return acc;
+  }, { hits: 0, errors: 0, transportErrors: 0, checked: 0, checkFailures: 0, botHits: 0, robotsTxtFetches: 0, robotsTxtErrors: 0, analytics: { sent: 0, failed: 0 }, failedChecks: {}, statusCodes: {} });
+
+  const totals = summarize(totalStats);
+  return {
+    reason,
+    startedAt: new Date(startedAt).toISOString(),
+    endedAt: new Date().toISOString(),
+    durationSec: Math.round((Date.now() - startedAt) / 1000),
+    maxErrorRate: maxErrorRate !== undefined ? maxErrorRate / 100 : null,
+    // Declared checks must all pass; the error rate only fails with
+    // --max-error-rate. A run that sent nothing, or lost a worker, never passes.
+    passed: (maxErrorRate === undefined || totals.errorRate * 100 <= maxErrorRate) &&
+      !totals.checkFailures &&
+      totals.requests > 0 &&
+      !statsArray.some((stat) => stat.status === "crashed"),
+    totals,
+    links: links.map((link, i) => ({
+      name: link.name,
+      url: link.url,
+      status: statsArray[i].status,
+      ...summarize(statsArray[i]),
+    })),
+  };
+}
+
+/**
+ * Run without a terminal UI until a stop condition is met, then print a JSON
+ * summary to stdout and exit non-zero if the error rate exceeds the threshold.
+ * Worker output goes to stderr so stdout stays machine-readable.
+ */
+async function runHeadless(links, { durationMs, maxHits, maxHitsPerLink, maxErrorRate } = {}) {
+  if (!existsSync(WORKER_PATH)) {
+    console.error(`Error: worker.js not found at ${WORKER_PATH}`);
+    process.exit(1);
+  }
+
+  // Blank worker lines are skipped before the link prefix is added
+  const log = (line, prefix = "") => {
+    const text = line.trim();
+    if (text) process.stderr.write(`${prefix}${text}\n`);
+  };
+
+  const statsArray = links.map(() => createStats());
+  const processes = [];
+
+  const parentProxyPool = new ProxyPool(CONFIG);
+  await parentProxyPool.init();
+  if (CONFIG.PROXY_MODE === "free" || CONFIG.PROXY_MODE === "url") {
+    const originalRefresh = parentProxyPool.refresh.bind(parentProxyPool);
+    parentProxyPool.refresh = async () => {
+      const list = await originalRefresh();
+      for (const p of processes) {
+        if (p && !p.killed && p.connected) {
+          try { p.send({ type: "proxy_list", list }); } catch {}
+        }
+      }
+      return list;
+    };
+  }
+
+  const startedAt = Date.now();
+  for (let i = 0; i < links.length; i++) {
+    await new Promise((r) => setTimeout(r, STARTUP_DELAY));
+    const child = spawnWorker(
+      links[i],
+      statsArray[i],
+      (line) => log(line, `[${links[i].name}] `),
+      parentProxyPool,
+    );
+    processes.push(child);
+    log(`[${links[i].name}] Process started (PID: ${child.pid})`);
+  }
+
+  let finished = false;
+  const finish = (reason) => {
+    if (finished) return;
+    finished = true;
+    clearInterval(checkTimer);
+    parentProxyPool.destroy();
+    processes.forEach((p) => p && !p.killed && p.kill());
+
+    const summary = buildSummary(links, statsArray, startedAt, reason, maxErrorRate);
+    process.stdout.write(`${JSON.stringify(summary, null, 2)}\n`, () => {
+      process.exit(summary.passed ? 0 : 1);
+    });
+  };
+
+  // Stop conditions are checked on a short interval rather than per event
+  const checkTimer = setInterval(() => {
+    const requests = statsArray.map((s) => s.hits + s.errors);
+    const totalRequests = requests.reduce((sum, n) => sum + n, 0);
+
+    if (durationMs && Date.now() - startedAt >= durationMs) return finish("duration");
+    if (maxHits && totalRequests >= maxHits) return finish("max_hits");
+
+    if (maxHitsPerLink) {
+      requests.forEach((n, i) => {
+        if (n >= maxHitsPerLink && processes[i] && !processes[i].killed) {
+          processes[i].kill();
+          log(`[${links[i].name}] Reached ${maxHitsPerLink} requests, stopped`);
+        }
+      });
+      if (requests.every((n) => n >= maxHitsPerLink)) return finish("max_hits_per_link");
+    }
+
+    if (processes.every((p) => p.exitCode !== null || p.signalCode !== null)) {
+      finish("workers_exited");
+    }
+  }, 250);
+
+  process.on("SIGINT", () => finish("signal"));
+  process.on("SIGTERM", () => finish("signal"));
+}
+
+// ============================================================================
+// Reconcile
+// ============================================================================
+
+/**
+ * Render a reconciliation report as per-dimension tables
+ */
+function renderReconcileReport(report) {
+  const lines = [];
+  lines.push("");
+  lines.push(
+    chalk.bgCyan.black.bold(" 💥 RECONCILE ") +
+      chalk.gray(` Ledger: ${report.expectedRows} hits │ Export: ${report.reportedRows} rows │ Tolerance: ±${report.tolerance}%`),
+  );
+
+  for (const [dim, entries] of Object.entries(report.dimensions)) {
+    lines.push("");
+    lines.push("  " + chalk.yellow(dim) + " " + chalk.gray("─".repeat(Math.max(0, 76 - dim.length))));
+    lines.push(
+      chalk.gray("    ") +
+        chalk.gray(pad("VALUE", 34)) +
+        chalk.gray(pad("EXPECTED", 10)) +
+        chalk.gray(pad("REPORTED", 10)) +
+        chalk.gray(pad("DIFF", 8)) +
+        chalk.gray("DIFF %"),
+    );
+    if (entries.length === 0) lines.push(chalk.gray("    (no values)"));
+    for (const entry of entries) {
+      const pct = entry.new ? "new" : `${entry.diffPct > 0 ? "+" : ""}${entry.diffPct.toFixed(1)}%`;
+      const diff = `${entry.diff > 0 ? "+" : ""}${entry.diff}`;
+      const color = entry.flagged ? chalk.red : chalk.gray;
+      lines.push(
+        (entry.flagged ? chalk.red("  ✗ ") : chalk.green("  ✓ ")) +
+          chalk.white(pad(entry.value, 34)) +
+          chalk.yellow(pad(entry.expected, 10)) +
+          chalk.yellow(pad(entry.reported, 10)) +
+          color(pad(diff, 8)) +
+          color(pct),
+      );
+    }
+  }
+
+  lines.push("");
+  lines.push(
+    report.flagged > 0
+      ? chalk.red(`  ${report.flagged} value${report.flagged !== 1 ? "s" : ""} outside tolerance`)
+      : chalk.green("  All values within tolerance"),
+  );
+  lines.push("");
+  return lines.join("\n");
+}
+
+/**
+ * hitmaker reconcile --ledger <file|dir> --export <file.csv> --mapping <file.json>
+ */
+function runReconcile(flags) {
+  if (!flags.ledger || !flags.export || !flags.mapping) {
+    console.error(chalk.red("❌ reconcile needs --ledger, --export and --mapping"));
+    process.exit(1);
+  }
+  const tolerance = flags.tolerance !== undefined ? Number(flags.tolerance) : 5;
+  if (!(tolerance >= 0)) {
+    console.error(chalk.red("❌ Invalid value for --tolerance"));
+    process.exit(1);
+  }
+
+  let report;
+  try {
+    report = reconcile({
+      ledgerPath: flags.ledger,
+      exportPath: flags.export,
+      mappingPath: flags.mapping,
+      tolerance,
+    });
+  } catch (err) {
+    console.error(chalk.red(`❌ ${err.message}`));
+    process.exit(1);
+  }
+
+  console.log(flags.json ? JSON.stringify(report, null, 2) : renderReconcileReport(report));
+  process.exitCode = report.flagged > 0 ? 1 : 0;
+}
+
 // ============================================================================
 // Main Entry Point
 // ============================================================================
 
 async function main() {
-  const args = process.argv.slice(2);
+  const { flags, rest: args } = parseFlags(process.argv.slice(2));
+  if (flags.scenario) CONFIG.SCENARIO = flags.scenario;
+
+  // reconcile subcommand: diff run ledgers against an analytics export
+  if (args[0] === "reconcile") {
+    runReconcile(flags);
+    return;
+  }
 
   // --config flag: open standalone config editor (reuses runInteractive with no links)
   if (args.includes("--config") || args.includes("-c")) {
@@ -1424,11 +2644,30 @@ async function main() {
       chalk.gray("  hitmaker <url> <file.txt> <url2>  # Mix and match"),
     );
     console.log(
-      chalk.gray("  hitmaker --config                 # Open config editor\n"),
+      chalk.gray("  hitmaker --config                 # Open config editor"),
+    );
+    console.log(
+      chalk.gray("  hitmaker --headless <url> ...     # No UI, JSON summary on exit"),
+    );
+    console.log(
+      chalk.gray("  hitmaker reconcile --ledger <dir> --export <file.csv> --mapping <file.json>\n"),
     );
 
+    console.log(chalk.white("Headless Options:"));
+    console.log(chalk.gray("  --duration <90s|10m|2h>           # Stop after wall-clock time"));
+    console.log(chalk.gray("  --max-hits <n>                    # Stop after n requests overall"));
+    console.log(chalk.gray("  --max-hits-per-link <n>           # Stop each link after n requests"));
+    console.log(chalk.gray("  --max-error-rate <percent>        # Exit 1 if error rate is above this"));
+    console.log(chalk.gray("  --scenario <file.json|yaml>       # Run a scripted traffic timeline\n"));
+
+    console.log(chalk.white("Response Checks:"));
+    console.log(chalk.gray("  --expect-status <301,302|3xx>     # Allowed status codes"));
+    console.log(chalk.gray("  --expect-location <glob|/regex/>  # Pattern the Location header must match"));
+    console.log(chalk.gray("  --expect-forward                  # Appended params must reach the redirect target\n"));
+
     console.log(chalk.white("Text File Format:"));
-    console.log(chalk.gray("  One URL per line, # for comments\n"));
+    console.log(chalk.gray("  One URL per line, # for comments"));
+    console.log(chalk.gray("  Per-link checks after the URL: expect=302 location=https://shop.example.com/* forward\n"));
 
     console.log(chalk.white("Configuration:"));
     console.log(
@@ -1468,13 +2707,71 @@ async function main() {
   }
 
   // Parse input arguments
-  const links = parseInput(args);
+  let links;
+  try {
+    links = parseInput(args);
+    // --expect-* flags apply to every link that has no checks of its own
+    const expect = parseExpectations({
+      status: flags.expectStatus,
+      location: flags.expectLocation,
+      forward: flags.expectForward,
+    });
+    if (expect) links = links.map((link) => (link.expect ? link : { ...link, expect }));
+  } catch (err) {
+    console.error(chalk.red(`❌ ${err.message}`));
+    process.exit(1);
+  }
   if (links.length === 0) {
     console.error(chalk.red("❌ No valid links found.\n"));
     console.log(chalk.gray("Make sure URLs are valid or files exist."));
     process.exit(1);
   }
 
+  // Validate the scenario up front so errors show before any worker starts
+  let scenario = null;
+  if (CONFIG.SCENARIO) {
+    try {
+      scenario = await loadScenario(CONFIG.SCENARIO);
+    } catch (err) {
+      console.error(chalk.red(`❌ ${err.message}`));
+      process.exit(1);
+    }
+  }
+
+  // Same for catalog files — a malformed row should stop the run, not a worker
+  try {
+    loadCatalogs(CONFIG.CATALOGS);
+  } catch (err) {
+    console.error(chalk.red(`❌ ${err.message}`));
+    process.exit(1);
+  }
+
+  // Headless when asked to, or when there is no terminal to drive the UI
+  if (flags.headless || !process.stdin.isTTY || !process.stdout.isTTY) {
+    const options = {
+      durationMs: flags.duration !== undefined ? parseDuration(flags.duration) : undefined,
+      maxHits: flags.maxHits !== undefined ? Number(flags.maxHits) : undefined,
+      maxHitsPerLink: flags.maxHitsPerLink !== undefined ? Number(flags.maxHitsPerLink) : undefined,
+      maxErrorRate: flags.maxErrorRate !== undefined ? Number(flags.maxErrorRate) : undefined,
+    };
+    // Limits must be positive; an error rate of 0 means "fail on any error"
+    const invalid = Object.entries(options).find(([key, v]) =>
+      v !== undefined && !(key === "maxErrorRate" ? v >= 0 : v > 0));
+    if (invalid) {
+      console.error(`❌ Invalid value for ${invalid[0]}: must be ${invalid[0] === "maxErrorRate" ? "0 or more" : "greater than 0"}`);
+      process.exit(1);
+    }
+    // A headless run must end by itself: without a stop condition (or a
+    // scenario that ends), stop after the default duration
+    if (!options.durationMs && !options.maxHits && !options.maxHitsPerLink && !(scenario && !scenario.loop)) {
+      options.durationMs = DEFAULT_HEADLESS_DURATION_MS;
+      console.error(`No stop condition given, stopping after ${DEFAULT_HEADLESS_DURATION_MS / 60_000}m (set --duration, --max-hits or --max-hits-per-link)`);
+    }
+    console.error(`Hitmaker headless: ${links.length} link(s) to simulate`);
+    await runHeadless(links, options);
+    return;
+  }
+
   console.log(chalk.green(`\n🔍 Found ${links.length} link(s) to simulate`));
 
   // Start interactive mode
@@ -0,0 +1,94 @@
+// ipv6.js
+// IPv6 address helpers for spoofed visitors: parse and format addresses,
+// carve unique prefixes out of a country's ranges, and reduce an address
+// to its prefix the way analytics tools count IPv6 visitors (/48 or /64).
+
+const ALL_BITS = (1n << 128n) - 1n;
+
+/**
+ * Parse an IPv6 address ("2001:db8::1") into a 128-bit BigInt, or null
+ */
+export function parseIpv6(address) {
+  const text = String(address).trim().toLowerCase().replace(/^\[|\]$/g, "").split("%")[0];
+  if (!/^[0-9a-f:]+$/.test(text) || (text.match(/::/g) || []).length > 1) return null;
+  const [head, tail] = text.includes("::") ? text.split("::") : [text, null];
+  const headGroups = head ? head.split(":") : [];
+  const tailGroups = tail ? tail.split(":") : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+  if (tail === null ? missing !== 0 : missing < 1) return null;
+  const groups = [...headGroups, ...Array(tail === null ? 0 : missing).fill("0"), ...tailGroups];
+  if (groups.some((g) => !/^[0-9a-f]{1,4}$/.test(g))) return null;
+  return groups.reduce((value, g) => (value << 16n) | BigInt(parseInt(g, 16)), 0n);
+}
+
+/**
+ * Format a 128-bit BigInt as a compressed IPv6 address (RFC 5952)
+ */
+export function formatIpv6(value) {
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) groups.push(Number((value >> shift) & 0xffffn));
+
+  // Longest run of two or more zero groups becomes "::"
+  let best = { start: -1, length: 1 };
+  for (let i = 0; i < 8; ) {
+    if (groups[i] !== 0) { i++; continue; }
+    let j = i;
+    while (j < 8 && groups[j] === 0) j++;
+    if (j - i > best.length) best = { start: i, length: j - i };
+    i = j;
+  }
+  const hex = groups.map((g) => g.toString(16));
+  if (best.start === -1) return hex.join(":");
+  return `${hex.slice(0, best.start).join(":")}::${hex.slice(best.start + best.length).join(":")}`;
+}
+
+/**
+ * Parse "2003::/19" into { base, length }, or null when malformed
+ */
+export function parseIpv6Prefix(prefix) {
+  const [address, bits] = String(prefix).trim().split("/");
+  const base = parseIpv6(address);
+  const length = Number(bits);
+  if (base === null || !Number.isInteger(length) || length < 0 || length > 128) return null;
+  return { base: base & maskOf(length), length };
+}
+
+function maskOf(length) {
+  return length === 0 ? 0n : (ALL_BITS << BigInt(128 - length)) & ALL_BITS;
+}
+
+/**
+ * Random bits as a BigInt, drawn 32 at a time from rng
+ */
+function randomBits(count, rng) {
+  let value = 0n;
+  for (let drawn = 0; drawn < count; drawn += 32) {
+    value = (value << 32n) | BigInt(Math.floor(rng() * 2 ** 32));
+  }
+  return value & ((1n << BigInt(count)) - 1n);
+}
+
+/**
+ * A random /`length` prefix inside `range` ({ base, length }), as a BigInt
+ */
+export function randomPrefix(range, length, rng = Math.random) {
+  const free = Math.max(0, length - range.length);
+  return range.base | (randomBits(free, rng) << BigInt(128 - range.length - free));
+}
+
+/**
+ * A random address inside a /`length` prefix — the bits below the prefix
+ * (subnet and interface id) change from visit to visit, like privacy addresses
+ */
+export function randomAddressIn(prefix, length, rng = Math.random) {
+  return formatIpv6(prefix | randomBits(128 - length, rng));
+}
+
+/**
+ * "2a01:cb00:1234::/48" for an address or prefix value at `length` bits
+ */
+export function prefixKey(value, length) {
+  const base = typeof value === "bigint" ? value : parseIpv6(value);
+  if (base === null) return null;
+  return `${formatIpv6(base & maskOf(length))}/${length}`;
+}
@@ -0,0 +1,387 @@
+// ledger.js
+// Ground-truth record of what was sent, for reconciling against analytics
+// Each worker appends one row per hit (JSONL or CSV) and keeps an aggregated
+// "expected counts" report next to it.
+
+import {
+  openSync, writeSync, closeSync, writeFileSync, mkdirSync, existsSync,
+  readFileSync, readdirSync, statSync,
+} from "fs";
+import { join } from "path";
+
+const REPORT_INTERVAL_MS = 10_000;
+
+/**
+ * Ledger columns, in CSV order
+ */
+export const LEDGER_COLUMNS = [
+  "ts",
+  "link",
+  "url",
+  "params",
+  "payloads",
+  "uaClass",
+  "ua",
+  "browser",
+  "browserVersion",
+  "app",
+  "crawler",
+  "ip",
+  "ipVersion",
+  "subnet",
+  "country",
+  "city",
+  "region",
+  "language",
+  "referer",
+  "robotsTxt",
+  "analytics",
+  "status",
+  "latencyMs",
+  "error",
+  "finalStatus",
+  "destination",
+  "redirects",
+  "failedChecks",
+  "sessionId",
+  "page",
+  "visitorId",
+  "returning",
+];
+
+/**
+ * Flatten a simulator hit/error event into a ledger row
+ */
+export function toLedgerRow(event) {
+  const visit = event.visit || {};
+  return {
+    ts: new Date(event.ts).toISOString(),
+    link: visit.link,
+    url: visit.url,
+    params: visit.params || {},
+    payloads: visit.payloads || [],
+    uaClass: visit.uaClass,
+    ua: visit.ua,
+    browser: visit.browser ?? null, // family behind the header set: chrome, safari, bot, curl, ...
+    browserVersion: visit.browserVersion ?? null,
+    app: visit.app ?? null, // in-app browser or scanner behind an "inapp" hit
+    crawler: visit.crawler ?? null, // bot hits: the crawler whose IP ranges were used
+    ip: visit.ip,
+    ipVersion: visit.ipVersion ?? null,
+    subnet: visit.subnet, // /24 ("a.b.c") or IPv6 prefix ("2003:e1:f00::/64")
+    country: visit.country,
+    city: visit.city,
+    region: visit.region,
+    language: visit.acceptLanguage ?? null, // Accept-Language header sent
+    referer: visit.referer,
+    robotsTxt: visit.robotsTxt ?? null, // BOT_ROBOTS_TXT: status of the robots.txt fetch before this hit, or "error"
+    analytics: visit.analytics ?? null, // ANALYTICS: status of the page view sent to the emitter, or "error"
+    status: event.type === "hit" ? event.status : null,
+    latencyMs: event.latencyMs,
+    error: event.type === "error" ? event.message : event.redirectError || null,
+    finalStatus: event.finalStatus ?? null,
+    destination: event.destination ?? null,
+    redirects: event.redirects || null, // [{ url, status, location, latencyMs }] per response
+    failedChecks: event.failedChecks ? event.failedChecks.map((f) => f.message) : null,
+    sessionId: event.session ? event.session.id : null,
+    page: event.session ? event.session.page : null, // 0 = landing
+    visitorId: visit.visitorId ?? null,
+    returning: visit.returning ?? null,
+  };
+}
+
+/**
+ * Preferred language of an Accept-Language header ("da-DK,da;q=0.9" -> "da-DK"),
+ * the value analytics tools report per visit
+ */
+export function primaryLanguage(acceptLanguage) {
+  if (!acceptLanguage) return null;
+  return String(acceptLanguage).split(",")[0].split(";")[0].trim() || null;
+}
+
+/**
+ * Turn a referer URL or bare domain into a comparable host ("(direct)" if empty)
+ */
+export function refererHost(value) {
+  if (!value) return "(direct)";
+  const str = String(value).trim().toLowerCase();
+  let host;
+  try {
+    host = new URL(str.includes("://") ? str : `https://${str}`).hostname;
+  } catch {
+    host = str.split("/")[0];
+  }
+  return host.replace(/^www\./, "");
+}
+
+/**
+ * Escape a value for a CSV cell (RFC 4180)
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Serialize a ledger row as a CSV line
+ * params become a query string, payload names are joined with "|"
+ */
+function toCsvLine(row) {
+  return LEDGER_COLUMNS.map((column) => {
+    if (column === "params") return csvCell(new URLSearchParams(row.params).toString());
+    if (column === "payloads") return csvCell(row.payloads.join("|"));
+    if (column === "redirects") return csvCell(row.redirects && JSON.stringify(row.redirects));
+    if (column === "failedChecks") return csvCell(row.failedChecks && row.failedChecks.join("; "));
+    return csvCell(row[column]);
+  }).join(",");
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted cells, escaped quotes, embedded newlines)
+ * into an array of objects keyed by the header row
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      record.push(cell); cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      record.push(cell); cell = "";
+      records.push(record); record = [];
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || record.length > 0) { record.push(cell); records.push(record); }
+
+  const [header = [], ...rows] = records.filter((r) => r.length > 1 || r[0] !== "");
+  const columns = header.map((h) => h.replace(/^\uFEFF/, "").trim());
+  return rows.map((r) => Object.fromEntries(columns.map((c, i) => [c, r[i] ?? ""])));
+}
+
+/**
+ * Turn a CSV ledger record back into a ledger row
+ */
+function fromCsvRecord(record) {
+  const row = { ...record };
+  row.params = Object.fromEntries(new URLSearchParams(record.params || ""));
+  row.payloads = record.payloads ? record.payloads.split("|") : [];
+  row.status = record.status === "" ? null : Number(record.status);
+  row.latencyMs = record.latencyMs === "" ? null : Number(record.latencyMs);
+  row.ipVersion = record.ipVersion ? Number(record.ipVersion) : null;
+  row.finalStatus = record.finalStatus ? Number(record.finalStatus) : null;
+  row.redirects = record.redirects ? JSON.parse(record.redirects) : null;
+  row.failedChecks = record.failedChecks ? record.failedChecks.split("; ") : null;
+  row.page = record.page ? Number(record.page) : null;
+  row.returning = record.returning ? record.returning === "true" : null;
+  for (const column of LEDGER_COLUMNS) {
+    if (row[column] === "") row[column] = null;
+  }
+  return row;
+}
+
+/**
+ * Read ledger rows from a .jsonl/.csv file, or every ledger in a directory
+ */
+export function readLedger(path) {
+  if (!existsSync(path)) throw new Error(`Ledger not found: ${path}`);
+
+  if (statSync(path).isDirectory()) {
+    return readdirSync(path)
+      .filter((f) => f.endsWith(".jsonl") || f.endsWith(".csv"))
+      .sort()
+      .flatMap((f) => readLedger(join(path, f)));
+  }
+
+  const text = readFileSync(path, "utf-8");
+  if (path.endsWith(".csv")) return parseCsv(text).map(fromCsvRecord);
+  return text
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        throw new Error(`${path}:${i + 1}: malformed ledger line`);
+      }
+    });
+}
+
+// ============================================================================
+// ExpectedCounts — per-dimension aggregation of delivered hits
+// ============================================================================
+
+export class ExpectedCounts {
+  constructor() {
+    this.delivered = 0; // got an HTTP response (any status)
+    this.failed = 0; // transport errors — may never have reached the target
+    this.statusCodes = {};
+    this.dimensions = {
+      country: {},
+      city: {},
+      device: {},
+      browser: {},
+      app: {},
+      crawler: {},
+      language: {},
+      referer: {},
+      param: {},
+      payload: {},
+      destination: {},
+    };
+    this.subnets = new Set();
+    this.visitors = new Set(); // visitor ids
+    this.ipv6Visitors = new Set(); // ...with an IPv6 address
+    this.returningVisitors = new Set(); // ...seen on a return visit
+    this.visits = 0; // page views that start a visit (every hit outside sessions)
+    this.botHits = 0; // delivered hits from crawlers — what bot filtering should remove
+    this.analyticsEvents = 0; // page views the analytics emitter accepted (2xx)
+  }
+
+  /**
+   * Add a ledger row to the aggregate
+   */
+  add(row) {
+    if (row.status === null || row.status === undefined) {
+      this.failed++;
+      return;
+    }
+    this.delivered++;
+    this.statusCodes[row.status] = (this.statusCodes[row.status] || 0) + 1;
+
+    const bump = (dimension, value) => {
+      if (value === null || value === undefined || value === "") return;
+      const counts = this.dimensions[dimension];
+      counts[value] = (counts[value] || 0) + 1;
+    };
+    bump("country", row.country);
+    bump("city", row.city && `${row.city}, ${row.country}`);
+    bump("device", row.uaClass);
+    bump("browser", row.browser);
+    bump("app", row.app);
+    bump("crawler", row.crawler);
+    if (row.crawler) this.botHits++;
+    if (row.analytics >= 200 && row.analytics < 300) this.analyticsEvents++;
+    bump("language", primaryLanguage(row.language));
+    bump("referer", refererHost(row.referer)); // by host, as reconcile compares them
+    for (const [key, value] of Object.entries(row.params || {})) {
+      bump("param", value ? `${key}=${value}` : key);
+    }
+    for (const name of row.payloads || []) bump("payload", name);
+    // Landing pages without their query, which often varies per hit
+    bump("destination", row.destination && row.destination.split("?")[0]);
+    if (row.subnet) this.subnets.add(row.subnet);
+    if (row.visitorId && !row.page) {
+      this.visits++;
+      this.visitors.add(row.visitorId);
+      if (row.ipVersion === 6) this.ipv6Visitors.add(row.visitorId);
+      if (row.returning) this.returningVisitors.add(row.visitorId);
+    }
+  }
+
+  toJSON() {
+    return {
+      delivered: this.delivered,
+      failed: this.failed,
+      uniqueSubnets: this.subnets.size,
+      visits: this.visits,
+      uniqueVisitors: this.visitors.size,
+      uniqueIpv6Visitors: this.ipv6Visitors.size,
+      returningVisitors: this.returningVisitors.size,
+      botHits: this.botHits,
+      humanHits: this.delivered - this.botHits,
+      analyticsEvents: this.analyticsEvents,
+      statusCodes: this.statusCodes,
+      ...this.dimensions,
+    };
+  }
+}
+
+// ============================================================================
+// HitLedger — append-only per-worker ledger file
+// ============================================================================
+
+export class HitLedger {
+  /**
+   * @param {string} dir - directory for ledger files (created if missing)
+   * @param {object} options - { format: "jsonl" | "csv", name: file basename }
+   */
+  constructor(dir, { format = "jsonl", name = `hitmaker-${process.pid}` } = {}) {
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+
+    this.format = format === "csv" ? "csv" : "jsonl";
+    this.path = join(dir, `${name}.${this.format}`);
+    this.reportPath = join(dir, `${name}.expected.json`);
+    this.expected = new ExpectedCounts();
+
+    const isNew = !existsSync(this.path);
+    this.fd = openSync(this.path, "a");
+    if (isNew && this.format === "csv") {
+      writeSync(this.fd, `${LEDGER_COLUMNS.join(",")}\n`);
+    }
+
+    this.reportTimer = setInterval(() => this.writeReport(), REPORT_INTERVAL_MS);
+    this.reportTimer.unref();
+  }
+
+  /**
+   * Append a hit/error event to the ledger
+   */
+  record(event) {
+    if (event.type !== "hit" && event.type !== "error") return;
+    if (event.internal) return; // failed before anything was sent
+    if (this.fd === null) return;
+    const row = toLedgerRow(event);
+    const line = this.format === "csv" ? toCsvLine(row) : JSON.stringify(row);
+    writeSync(this.fd, `${line}\n`);
+    this.expected.add(row);
+  }
+
+  /**
+   * Write the aggregated expected-counts report
+   */
+  writeReport() {
+    try {
+      writeFileSync(this.reportPath, JSON.stringify({
+        ledger: this.path,
+        updatedAt: new Date().toISOString(),
+        ...this.expected.toJSON(),
+      }, null, 2));
+    } catch (err) {
+      console.warn("Failed to write expected counts:", err.message);
+    }
+  }
+
+  close() {
+    if (this.fd === null) return;
+    clearInterval(this.reportTimer);
+    this.writeReport();
+    closeSync(this.fd);
+    this.fd = null;
+  }
+}
+
+/**
+ * Derive a filesystem-safe ledger name from a target URL
+ */
+export function ledgerNameForUrl(url) {
+  const parsed = new URL(url);
+  const slug = `${parsed.hostname}${parsed.pathname}`
+    .replace(/[^a-zA-Z0-9]+/g, "-")
+    .replace(/^-|-$/g, "")
+    .slice(0, 60);
+  return `hitmaker-${slug}-${process.pid}`;
+}
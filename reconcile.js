@@ -0,0 +1,201 @@
+// reconcile.js
+// Diff what hitmaker sent (run ledgers) against what an analytics system reports
+// (a CSV export), per dimension, flagging anything outside a tolerance.
+//
+// Mapping file (JSON) — tells reconcile how to read the export:
+//   {
+//     "count": "Visits",                        // count column (omit = 1 per row)
+//     "columns": {
+//       "country": "Country", "city": "City", "device": "Device category",
+//       "browser": "Browser",                   // family: chrome, edge, firefox, safari, bot, ...
+//       "language": "Language",                 // preferred language, e.g. "da-dk"
+//       "referer": "Referrer", "payload": "Campaign",
+//       "url": "Page URL",                      // appended params parsed from this column
+//       "params": { "qr": "QR flag" },          // ...and/or one column per param key
+//       "ip": "Client IP",                      // unique visitors from /24 subnets / IPv6 prefixes
+//       "visitors": "Unique visitors"           // ...or summed from this column
+//     },
+//     "values": { "device": { "Tablet": "mobile" } }, // reported -> ledger values
+//     "statuses": [200, 302],                   // only count ledger rows with these
+//     "tolerance": { "referer": 10 },           // per-dimension % (default: --tolerance)
+//     "ipv6PrefixLength": 64                    // IPv6 visitor prefix (default: as in the ledger, else 64)
+//   }
+
+import { readFileSync, existsSync } from "fs";
+import { readLedger, parseCsv, primaryLanguage, refererHost } from "./ledger.js";
+import { prefixKey } from "./ipv6.js";
+
+const lower = (v) => String(v).trim().toLowerCase();
+const formatParam = ([key, value]) => (value ? `${key}=${value}` : key);
+
+/**
+ * Reconciled dimensions — how to read each one from a ledger row, and how to
+ * normalize values from both sides so they compare equal
+ */
+const DIMENSIONS = {
+  country: { fromLedger: (row) => [row.country], normalize: (v) => String(v).trim().toUpperCase() },
+  city: { fromLedger: (row) => [row.city], normalize: lower },
+  // Analytics tools see in-app browsers and scanners as mobile devices
+  device: { fromLedger: (row) => [row.uaClass === "inapp" ? "mobile" : row.uaClass], normalize: lower },
+  browser: { fromLedger: (row) => [row.browser], normalize: lower },
+  language: { fromLedger: (row) => [primaryLanguage(row.language)], normalize: (v) => lower(primaryLanguage(v) ?? "") },
+  referer: { fromLedger: (row) => [row.referer || ""], normalize: refererHost, keepEmpty: true },
+  param: { fromLedger: (row) => Object.entries(row.params || {}).map(formatParam), normalize: String },
+  payload: { fromLedger: (row) => row.payloads || [], normalize: lower },
+};
+
+/**
+ * Unique visitors the way the simulator hands them out: one /24 subnet each,
+ * or one IPv6 prefix of `ipv6PrefixLength` bits
+ */
+function subnetOf(ip, ipv6PrefixLength) {
+  const address = String(ip).trim();
+  if (address.includes(":")) return prefixKey(address, ipv6PrefixLength) || address;
+  return address.split(".").slice(0, 3).join(".");
+}
+
+function bump(counts, key, by = 1) {
+  counts[key] = (counts[key] || 0) + by;
+}
+
+/**
+ * Count expected values per dimension from ledger rows
+ */
+function countExpected(rows, dimensions) {
+  const counts = Object.fromEntries(dimensions.map((d) => [d, {}]));
+  const subnets = new Set();
+  for (const row of rows) {
+    for (const dim of dimensions) {
+      if (dim === "visitors") continue;
+      const spec = DIMENSIONS[dim];
+      for (const value of spec.fromLedger(row)) {
+        if ((value === null || value === undefined || value === "") && !spec.keepEmpty) continue;
+        bump(counts[dim], spec.normalize(value));
+      }
+    }
+    if (row.subnet) subnets.add(row.subnet);
+  }
+  if (counts.visitors) counts.visitors = { "unique subnets": subnets.size };
+  return counts;
+}
+
+/**
+ * Count reported values per dimension from export records via the mapping
+ */
+function countReported(records, mapping, dimensions, paramKeys, ipv6PrefixLength) {
+  const columns = mapping.columns || {};
+  const values = mapping.values || {};
+  const counts = Object.fromEntries(dimensions.map((d) => [d, {}]));
+  const subnets = new Set();
+  let visitorSum = 0;
+
+  const read = (dim, raw) => {
+    const mapped = values[dim] && raw in values[dim] ? values[dim][raw] : raw;
+    return DIMENSIONS[dim].normalize(mapped);
+  };
+
+  for (const record of records) {
+    const weight = mapping.count ? Number(record[mapping.count]) || 0 : 1;
+    for (const dim of dimensions) {
+      if (dim === "visitors") continue;
+      if (dim === "param") {
+        const params = {};
+        if (columns.url && record[columns.url]) {
+          try {
+            const url = new URL(record[columns.url], "http://export.invalid");
+            // Only keys hitmaker appended — the link's own query is not ours to count
+            for (const [k, v] of url.searchParams) if (paramKeys.has(k)) params[k] = v;
+          } catch {}
+        }
+        for (const [key, column] of Object.entries(columns.params || {})) {
+          if (record[column]) params[key] = record[column];
+        }
+        for (const entry of Object.entries(params)) bump(counts.param, formatParam(entry), weight);
+        continue;
+      }
+      const raw = record[columns[dim]];
+      if ((raw === undefined || raw === "") && !DIMENSIONS[dim].keepEmpty) continue;
+      bump(counts[dim], read(dim, raw ?? ""), weight);
+    }
+    if (columns.ip && record[columns.ip]) subnets.add(subnetOf(record[columns.ip], ipv6PrefixLength));
+    if (columns.visitors) visitorSum += Number(record[columns.visitors]) || 0;
+  }
+  if (counts.visitors) counts.visitors = { "unique subnets": columns.ip ? subnets.size : visitorSum };
+  return counts;
+}
+
+/**
+ * Dimensions the mapping can actually report on
+ */
+function mappedDimensions(mapping) {
+  const columns = mapping.columns || {};
+  const dims = Object.keys(DIMENSIONS).filter((dim) =>
+    dim === "param" ? columns.url || columns.params : columns[dim],
+  );
+  if (columns.ip || columns.visitors) dims.push("visitors");
+  return dims;
+}
+
+/**
+ * Reconcile ledger rows against an analytics export
+ * @returns {{ dimensions: object, flagged: number, expectedRows: number, reportedRows: number }}
+ */
+export function reconcile({ ledgerPath, exportPath, mappingPath, tolerance = 5 }) {
+  if (!existsSync(exportPath)) throw new Error(`Export not found: ${exportPath}`);
+  if (!existsSync(mappingPath)) throw new Error(`Mapping file not found: ${mappingPath}`);
+
+  let mapping;
+  try {
+    mapping = JSON.parse(readFileSync(mappingPath, "utf-8"));
+  } catch (err) {
+    throw new Error(`Invalid mapping file ${mappingPath}: ${err.message}`);
+  }
+
+  const dimensions = mappedDimensions(mapping);
+  if (dimensions.length === 0) {
+    throw new Error("Mapping file maps no columns (expected columns.country, columns.device, ...)");
+  }
+
+  // Only hits that reached the target count, optionally narrowed by status
+  const rows = readLedger(ledgerPath).filter((row) =>
+    row.status !== null && row.status !== undefined &&
+    (!mapping.statuses || mapping.statuses.includes(row.status)),
+  );
+  const records = parseCsv(readFileSync(exportPath, "utf-8"));
+
+  const expected = countExpected(rows, dimensions);
+  const paramKeys = new Set(rows.flatMap((row) => Object.keys(row.params || {})));
+  // IPv6 visitors are compared at the prefix length the run used
+  const ledgerPrefix = rows.map((row) => /\/(\d+)$/.exec(row.subnet || "")).find(Boolean);
+  const ipv6PrefixLength = mapping.ipv6PrefixLength ?? (ledgerPrefix ? Number(ledgerPrefix[1]) : 64);
+  const reported = countReported(records, mapping, dimensions, paramKeys, ipv6PrefixLength);
+  const tolerances = mapping.tolerance || {};
+
+  let flagged = 0;
+  const result = {};
+  for (const dim of dimensions) {
+    const limit = tolerances[dim] ?? tolerance;
+    const keys = new Set([...Object.keys(expected[dim]), ...Object.keys(reported[dim])]);
+    result[dim] = [...keys]
+      .map((key) => {
+        const exp = expected[dim][key] || 0;
+        const rep = reported[dim][key] || 0;
+        const diff = rep - exp;
+        // Reported but never expected: no percentage, always flagged
+        const isNew = exp === 0 && rep > 0;
+        const diffPct = exp > 0 ? (diff / exp) * 100 : (isNew ? null : 0);
+        const outside = isNew || Math.abs(diffPct) > limit;
+        if (outside) flagged++;
+        return { value: key, expected: exp, reported: rep, diff, diffPct, ...(isNew && { new: true }), flagged: outside };
+      })
+      .sort((a, b) => b.expected - a.expected || b.reported - a.reported);
+  }
+
+  return {
+    tolerance,
+    expectedRows: rows.length,
+    reportedRows: records.length,
+    flagged,
+    dimensions: result,
+  };
+}
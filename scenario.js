@@ -0,0 +1,197 @@
+// scenario.js
+// Scripted traffic timelines — an ordered list of steps (ramp, hold, burst,
+// idle, set) loaded from a JSON or YAML file and executed by TrafficSimulator.
+//
+// Example (YAML):
+//   name: Release load story
+//   loop: false
+//   steps:
+//     - { type: ramp, from: 5, to: 100, minutes: 10 }
+//     - { type: hold, rate: 100, minutes: 30 }
+//     - { type: idle, minutes: 5 }
+//     - { type: burst, rate: 500, minutes: 1 }
+//     - { type: set, config: { DEVICE_RATIO: 20 } }   # 80% mobile from here on
+//     - { type: hold, rate: 50, minutes: 15, label: "Mobile-heavy tail" }
+
+import { readFileSync, existsSync } from "fs";
+import { DEFAULT_CONFIG, CONFIG_FIELDS } from "./config.js";
+import { parseGeoProfiles, parseCustomGeoHeaders } from "./geoheaders.js";
+import { parseGeoMix } from "./catalogs.js";
+import { parseBrowserMix } from "./useragents.js";
+
+const STEP_TYPES = ["ramp", "hold", "burst", "idle", "set"];
+
+// Settings a worker fixes when it starts (its workers, connections, proxies,
+// random sources, catalogs, visitor pool and ledger) — "set" can't change them
+const FIXED_KEYS = [
+  "CONCURRENT", "HIGH_THROUGHPUT", "MAX_SOCKETS",
+  "PROXY_MODE", "PROXY_SERVICE_URL", "PROXY_LIST_URL", "PROXY_REFRESH_MIN",
+  "SEED", "CATALOGS", "VISITOR_POOL_SIZE", "IPV6_PREFIX_LENGTH",
+  "LEDGER_DIR", "LEDGER_FORMAT", "SCENARIO",
+];
+
+// Settings parsed the way getConfig() parses them; the rest follow the type
+// of their default
+const SET_PARSERS = {
+  GEO_HEADER_PROFILES: parseGeoProfiles,
+  GEO_HEADERS_CUSTOM: parseCustomGeoHeaders,
+  GEO_MIX: parseGeoMix,
+  BROWSER_MIX: parseBrowserMix,
+  SCHEDULE_WEIGHTS: (v) => (Array.isArray(v) ? v.join(",") : String(v)),
+};
+
+/**
+ * Parse one "set" override into the value the simulator expects, throwing
+ * for keys that don't exist or can't change mid-run and for bad values
+ */
+function parseSetting(key, value, where) {
+  if (!(key in DEFAULT_CONFIG)) throw new Error(`${where}: unknown config key "${key}"`);
+  if (FIXED_KEYS.includes(key)) throw new Error(`${where}: "${key}" can't change while running`);
+  if (SET_PARSERS[key]) return SET_PARSERS[key](value);
+
+  const fallback = DEFAULT_CONFIG[key];
+  let parsed = value;
+  if (typeof fallback === "number") {
+    parsed = Number(value);
+    if (value === "" || value === null || !Number.isFinite(parsed)) throw new Error(`${where}: "${key}" must be a number`);
+  } else if (typeof fallback === "boolean") {
+    if (value !== true && value !== false && value !== "true" && value !== "false") {
+      throw new Error(`${where}: "${key}" must be true or false`);
+    }
+    parsed = value === true || value === "true";
+  } else if (typeof fallback === "string") {
+    parsed = String(value);
+  } else if (Array.isArray(fallback) && !Array.isArray(value)) {
+    throw new Error(`${where}: "${key}" must be a list`);
+  }
+
+  const field = CONFIG_FIELDS.find((f) => f.key === key);
+  if (field && field.type === "select" && !field.options.includes(parsed)) {
+    throw new Error(`${where}: "${key}" must be one of ${field.options.join(", ")}`);
+  }
+  return parsed;
+}
+
+/**
+ * Validate a single step, throwing a readable error for malformed ones
+ */
+function validateStep(step, index) {
+  if (!step || typeof step !== "object") {
+    throw new Error(`Scenario step ${index + 1}: must be an object`);
+  }
+  if (!STEP_TYPES.includes(step.type)) {
+    throw new Error(`Scenario step ${index + 1}: "type" must be one of ${STEP_TYPES.join(", ")}`);
+  }
+  const where = `Scenario step ${index + 1} (${step.type})`;
+  const requireNumber = (key, min = 0) => {
+    if (typeof step[key] !== "number" || !(step[key] >= min)) {
+      throw new Error(`${where}: "${key}" must be a number >= ${min}`);
+    }
+  };
+
+  if (step.type === "set") {
+    if (!step.config || typeof step.config !== "object" || Array.isArray(step.config)) {
+      throw new Error(`${where}: "config" must be an object of config overrides`);
+    }
+    const config = Object.fromEntries(
+      Object.entries(step.config).map(([key, value]) => [key, parseSetting(key, value, where)]),
+    );
+    return { ...step, config, minutes: 0 };
+  }
+
+  requireNumber("minutes");
+  if (!(step.minutes > 0)) throw new Error(`${where}: "minutes" must be greater than 0`);
+  if (step.type === "ramp") {
+    requireNumber("from");
+    requireNumber("to");
+  } else if (step.type === "hold" || step.type === "burst") {
+    requireNumber("rate");
+  }
+  return step;
+}
+
+/**
+ * Validate a parsed scenario and precompute its cycle length
+ */
+export function validateScenario(raw, source = "scenario") {
+  if (!raw || typeof raw !== "object" || !Array.isArray(raw.steps) || raw.steps.length === 0) {
+    throw new Error(`${source}: expected an object with a non-empty "steps" list`);
+  }
+  const steps = raw.steps.map(validateStep);
+  const durationMs = steps.reduce((sum, step) => sum + step.minutes * 60 * 1000, 0);
+  if (durationMs === 0) throw new Error(`${source}: needs at least one timed step`);
+  return { name: raw.name || "scenario", loop: !!raw.loop, steps, durationMs };
+}
+
+/**
+ * Load a scenario from a .json/.yaml/.yml file (or validate an object as-is)
+ */
+export async function loadScenario(source) {
+  if (typeof source === "object") return validateScenario(source);
+  if (!existsSync(source)) throw new Error(`Scenario file not found: ${source}`);
+
+  const text = readFileSync(source, "utf-8");
+  let raw;
+  try {
+    if (/\.ya?ml$/i.test(source)) {
+      const { parse } = await import("yaml");
+      raw = parse(text);
+    } else {
+      raw = JSON.parse(text);
+    }
+  } catch (err) {
+    throw new Error(`Failed to parse scenario ${source}: ${err.message}`);
+  }
+  return validateScenario(raw, source);
+}
+
+/**
+ * Short human label for a step
+ */
+export function describeStep(step) {
+  if (step.label) return step.label;
+  switch (step.type) {
+    case "ramp": return `ramp ${step.from}→${step.to}/min`;
+    case "hold": return `hold ${step.rate}/min`;
+    case "burst": return `burst ${step.rate}/min`;
+    case "idle": return "idle";
+    default: return `set ${Object.keys(step.config).join(", ")}`;
+  }
+}
+
+/**
+ * Where the timeline is after elapsedMs: the current timed step, its rate
+ * (hits/min per link) and time remaining. Returns null once a non-looping
+ * scenario has finished.
+ */
+export function scenarioStateAt(scenario, elapsedMs) {
+  let cycle = 0;
+  let t = elapsedMs;
+  if (t >= scenario.durationMs) {
+    if (!scenario.loop) return null;
+    cycle = Math.floor(t / scenario.durationMs);
+    t %= scenario.durationMs;
+  }
+
+  let start = 0;
+  for (let index = 0; index < scenario.steps.length; index++) {
+    const step = scenario.steps[index];
+    const durationMs = step.minutes * 60 * 1000;
+    if (t < start + durationMs) {
+      const into = (t - start) / durationMs;
+      let rate = 0;
+      if (step.type === "ramp") rate = step.from + (step.to - step.from) * into;
+      else if (step.type === "hold" || step.type === "burst") rate = step.rate;
+      return {
+        cycle,
+        index,
+        step,
+        rate,
+        remainingMs: start + durationMs - t,
+        totalRemainingMs: scenario.durationMs - t,
+      };
+    }
+    start += durationMs;
+  }
+  return null;
+}
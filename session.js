@@ -0,0 +1,127 @@
+// session.js
+// Multi-page visitor sessions: a cookie jar that honours Set-Cookie across a
+// visit, and link discovery for journeys that wander the landing site.
+
+const MAX_LINKS = 200; // links kept per page for the next step of a journey
+
+// ============================================================================
+// CookieJar — RFC 6265 subset (Domain, Path, Expires/Max-Age, Secure)
+// ============================================================================
+
+export class CookieJar {
+  constructor() {
+    this.cookies = new Map(); // "domain|path|name" -> cookie
+  }
+
+  /**
+   * Store the Set-Cookie headers of a response to `url`
+   * @param {string[]|string|undefined} setCookie - res.headers["set-cookie"]
+   */
+  store(setCookie, url) {
+    if (!setCookie) return;
+    const { hostname, pathname } = new URL(url);
+    for (const header of [].concat(setCookie)) {
+      const [pair, ...attributes] = header.split(";");
+      const eq = pair.indexOf("=");
+      if (eq < 1) continue;
+      const cookie = {
+        name: pair.slice(0, eq).trim(),
+        value: pair.slice(eq + 1).trim(),
+        domain: hostname,
+        hostOnly: true,
+        path: pathname.slice(0, pathname.lastIndexOf("/")) || "/",
+        expires: null,
+        secure: false,
+      };
+
+      for (const attribute of attributes) {
+        const [rawKey, ...rest] = attribute.split("=");
+        const key = rawKey.trim().toLowerCase();
+        const value = rest.join("=").trim();
+        if (key === "domain" && value) {
+          const domain = value.replace(/^\./, "").toLowerCase();
+          // A cookie can't be set for a domain the response didn't come from
+          if (hostname !== domain && !hostname.endsWith(`.${domain}`)) {
+            cookie.domain = null;
+            break;
+          }
+          cookie.domain = domain;
+          cookie.hostOnly = false;
+        } else if (key === "path" && value.startsWith("/")) {
+          cookie.path = value;
+        } else if (key === "max-age" && /^-?\d+$/.test(value)) {
+          cookie.expires = Date.now() + Number(value) * 1000;
+        } else if (key === "expires" && cookie.expires === null) {
+          const date = Date.parse(value);
+          if (!isNaN(date)) cookie.expires = date;
+        } else if (key === "secure") {
+          cookie.secure = true;
+        }
+      }
+      if (!cookie.domain) continue;
+
+      const key = `${cookie.domain}|${cookie.path}|${cookie.name}`;
+      if (cookie.expires !== null && cookie.expires <= Date.now()) this.cookies.delete(key);
+      else this.cookies.set(key, cookie);
+    }
+  }
+
+  /**
+   * Cookie header value for a request to `url` ("" when nothing applies)
+   */
+  header(url) {
+    const { hostname, pathname, protocol } = new URL(url);
+    const now = Date.now();
+    return [...this.cookies.values()]
+      .filter((c) =>
+        (c.expires === null || c.expires > now) &&
+        (c.hostOnly ? hostname === c.domain : hostname === c.domain || hostname.endsWith(`.${c.domain}`)) &&
+        (pathname === c.path || pathname.startsWith(c.path.endsWith("/") ? c.path : `${c.path}/`)) &&
+        (!c.secure || protocol === "https:"),
+      )
+      .sort((a, b) => b.path.length - a.path.length) // longer paths first
+      .map((c) => `${c.name}=${c.value}`)
+      .join("; ");
+  }
+
+  get size() {
+    return this.cookies.size;
+  }
+}
+
+// ============================================================================
+// Journeys
+// ============================================================================
+
+/**
+ * Same-origin page links (<a href>) in an HTML document, resolved against
+ * the page URL — skipping fragments, mailto:/javascript: and obvious assets
+ */
+export function extractLinks(html, pageUrl) {
+  const origin = new URL(pageUrl).origin;
+  const links = new Set();
+  for (const match of html.matchAll(/<a\s[^>]*?href\s*=\s*["']([^"'#]+)[^"']*["']/gi)) {
+    if (links.size >= MAX_LINKS) break;
+    const href = match[1].trim().replace(/&amp;/g, "&");
+    if (/^(mailto|tel|javascript|data):/i.test(href)) continue;
+    try {
+      const url = new URL(href, pageUrl);
+      if (url.origin !== origin) continue;
+      if (/\.(png|jpe?g|gif|svg|webp|ico|css|js|pdf|zip|mp4|woff2?)$/i.test(url.pathname)) continue;
+      url.hash = "";
+      if (url.href !== pageUrl) links.add(url.href);
+    } catch {}
+  }
+  return [...links];
+}
+
+/**
+ * Parse SESSION_PAGES: comma or newline separated paths or URLs
+ */
+export function parseSessionPages(raw) {
+  if (Array.isArray(raw)) return raw.map(String).filter(Boolean);
+  return String(raw || "")
+    .split(/[,\n]/)
+    .map((p) => p.trim())
+    .filter(Boolean);
+}
@@ -4,25 +4,66 @@
 
 import http from "http";
 import https from "https";
+import zlib from "zlib";
+import { EventEmitter } from "events";
 import { lookup as dnsLookup } from "dns";
 import { WorkerProxyPool, createProxyAgent } from "./proxy.js";
+import { loadScenario, scenarioStateAt, describeStep } from "./scenario.js";
+import { createChecker } from "./assertions.js";
+import { CookieJar, extractLinks, parseSessionPages } from "./session.js";
+import { VisitorPool } from "./visitors.js";
+import { buildGeoHeaders, parseGeoProfiles, parseCustomGeoHeaders } from "./geoheaders.js";
+import { loadCatalogs, parseGeoMix, applyGeoMix, expandReferer, parseIpv4Prefix } from "./catalogs.js";
+import { buildBrowserHeaders, isAutomated } from "./browsers.js";
+import { parseBrowserMix, browserMixByDevice, generateUserAgent } from "./useragents.js";
+import { parseIpv6Prefix, randomPrefix, randomAddressIn, prefixKey } from "./ipv6.js";
+import { resolveAnalytics, buildAnalyticsRequest } from "./analytics.js";
 
 // DNS cache with 60s TTL — avoids repeated getaddrinfo calls
-// (macOS .local mDNS resolution adds ~5s per uncached lookup)
+// (macOS .local mDNS resolution adds ~5s per uncached lookup).
+// Concurrent lookups for the same key share one getaddrinfo call, and
+// `all: true` lookups (Happy Eyeballs) are cached separately.
 const DNS_TTL_MS = 60_000;
 const dnsCache = new Map();
+const dnsPending = new Map(); // key -> callbacks waiting on an in-progress lookup
 function cachedLookup(hostname, options, callback) {
-  const key = `${hostname}:${options.family || 0}`;
+  if (typeof options === "function") {
+    callback = options;
+    options = {};
+  }
+  const key = `${hostname}:${options.family || 0}:${options.all ? "all" : "one"}`;
   const cached = dnsCache.get(key);
   if (cached && Date.now() - cached.ts < DNS_TTL_MS) {
     return process.nextTick(callback, null, cached.address, cached.family);
   }
+  if (dnsPending.has(key)) {
+    dnsPending.get(key).push(callback);
+    return;
+  }
+  dnsPending.set(key, [callback]);
   dnsLookup(hostname, options, (err, address, family) => {
     if (!err) dnsCache.set(key, { address, family, ts: Date.now() });
-    callback(err, address, family);
+    const callbacks = dnsPending.get(key);
+    dnsPending.delete(key);
+    for (const cb of callbacks) cb(err, address, family);
   });
 }
 
+/**
+ * Shared keep-alive agents for high-throughput mode, so hits reuse
+ * connections instead of paying a TCP/TLS handshake each
+ */
+function createKeepAliveAgents(maxSockets) {
+  const options = {
+    keepAlive: true,
+    maxSockets,
+    maxFreeSockets: maxSockets,
+    scheduling: "lifo", // keep a warm core of sockets, let idle extras time out
+    lookup: cachedLookup,
+  };
+  return { "http:": new http.Agent(options), "https:": new https.Agent(options) };
+}
+
 // ============================================================================
 // Configuration
 // ============================================================================
@@ -37,331 +78,325 @@ export function getConfig() {
   } catch (e) {
     console.warn("Failed to parse URL_PARAMS:", e.message);
   }
+
+  let catalogs = {};
+  try {
+    catalogs = process.env.CATALOGS ? JSON.parse(process.env.CATALOGS) : {};
+  } catch (e) {
+    console.warn("Failed to parse CATALOGS:", e.message);
+  }
+
+  let expect = null;
+  try {
+    expect = process.env.EXPECT ? JSON.parse(process.env.EXPECT) : null;
+  } catch (e) {
+    console.warn("Failed to parse EXPECT:", e.message);
+  }
   
   return {
     MIN_PER_MIN: Number(process.env.MIN_PER_MIN || 1),
     MAX_PER_MIN: Number(process.env.MAX_PER_MIN || 25),
     CONCURRENT: Number(process.env.CONCURRENT || 1),
+    MAX_IN_FLIGHT: Number(process.env.MAX_IN_FLIGHT || 50),
+    HIGH_THROUGHPUT: process.env.HIGH_THROUGHPUT === "true",
+    FOLLOW_REDIRECTS: process.env.FOLLOW_REDIRECTS === "true",
+    MAX_REDIRECTS: Number(process.env.MAX_REDIRECTS || 5),
+    SESSION_MODE: process.env.SESSION_MODE === "true",
+    SESSION_PAGES_MIN: Number(process.env.SESSION_PAGES_MIN ?? 1),
+    SESSION_PAGES_MAX: Number(process.env.SESSION_PAGES_MAX || 4),
+    BOUNCE_RATE: Number(process.env.BOUNCE_RATE ?? 40),
+    THINK_TIME_MIN: Number(process.env.THINK_TIME_MIN ?? 5),
+    THINK_TIME_MAX: Number(process.env.THINK_TIME_MAX || 30),
+    SESSION_PAGES: process.env.SESSION_PAGES || "",
+    MAX_SOCKETS: Number(process.env.MAX_SOCKETS || 64),
     METHOD: process.env.METHOD || "GET",
     TIMEOUT_MS: Number(process.env.TIMEOUT_MS || 5000),
     DEVICE_RATIO: Number(process.env.DEVICE_RATIO || 60), // 60% desktop by default
     UNKNOWN_RATIO: Number(process.env.UNKNOWN_RATIO || 5),
+    INAPP_RATIO: Number(process.env.INAPP_RATIO ?? 0),
+    UA_SOURCE: process.env.UA_SOURCE || "generated",
+    BROWSER_MIX: parseBrowserMix(process.env.BROWSER_MIX),
+    ENGLISH_FALLBACK: Number(process.env.ENGLISH_FALLBACK ?? 10),
+    DIRECT_TRAFFIC: Number(process.env.DIRECT_TRAFFIC ?? 0),
+    BOT_ROBOTS_TXT: process.env.BOT_ROBOTS_TXT === "true",
     MIN_ACTIVE: Number(process.env.MIN_ACTIVE || 5),
     MAX_ACTIVE: Number(process.env.MAX_ACTIVE || 15),
     IDLE_ODDS: Number(process.env.IDLE_ODDS || 0.75), // 75% chance
     MIN_IDLE: Number(process.env.MIN_IDLE || 1),
     MAX_IDLE: Number(process.env.MAX_IDLE || 15),
-    UNIQUE_IP_PROB: Number(process.env.UNIQUE_IP_PROB || 0.95), // 95% unique visitors
+    UNIQUE_IP_PROB: Number(process.env.UNIQUE_IP_PROB || 0.95), // 95% new visitors, 5% returning
+    VISITOR_POOL_SIZE: Number(process.env.VISITOR_POOL_SIZE || 10000),
+    IPV6_SHARE: Number(process.env.IPV6_SHARE ?? 0),
+    IPV6_PREFIX_LENGTH: Number(process.env.IPV6_PREFIX_LENGTH || 64),
+    GEO_HEADER_PROFILES: parseGeoProfiles(process.env.GEO_HEADER_PROFILES ?? "generic,vercel"),
+    GEO_HEADERS_CUSTOM: parseCustomGeoHeaders(process.env.GEO_HEADERS_CUSTOM),
+    ANALYTICS: process.env.ANALYTICS || "none",
+    ANALYTICS_ENDPOINT: process.env.ANALYTICS_ENDPOINT || "",
+    ANALYTICS_SITE_ID: process.env.ANALYTICS_SITE_ID || "",
+    ANALYTICS_SECRET: process.env.ANALYTICS_SECRET || "",
     PROXY_MODE: process.env.PROXY_MODE || "none",
     PROXY_SERVICE_URL: process.env.PROXY_SERVICE_URL || process.env.PROXY_URL || "",
     PROXY_LIST_URL: process.env.PROXY_LIST_URL || "",
     PROXY_REFRESH_MIN: Number(process.env.PROXY_REFRESH_MIN || 5),
+    SEED: process.env.SEED || "",
+    LEDGER_DIR: process.env.LEDGER_DIR || "",
+    LEDGER_FORMAT: process.env.LEDGER_FORMAT || "jsonl",
+    SCHEDULE_PROFILE: process.env.SCHEDULE_PROFILE || "flat",
+    SCHEDULE_WEIGHTS: process.env.SCHEDULE_WEIGHTS || "",
+    SCHEDULE_TIMEZONE: process.env.SCHEDULE_TIMEZONE || "local",
+    ARRIVAL_MODEL: process.env.ARRIVAL_MODEL || "uniform",
+    BURST_SIZE: Number(process.env.BURST_SIZE || 5),
+    FLASH_CROWDS: process.env.FLASH_CROWDS || "",
+    FLASH_CROWD_CHANCE: Number(process.env.FLASH_CROWD_CHANCE || 0),
+    FLASH_CROWD_MULTIPLIER: Number(process.env.FLASH_CROWD_MULTIPLIER || 5),
+    FLASH_CROWD_MINUTES: Number(process.env.FLASH_CROWD_MINUTES || 3),
+    SCENARIO: process.env.SCENARIO || "",
     URL_PARAMS: urlParams,
+    CATALOGS: catalogs, // catalog files, resolved by catalogs.js loadCatalogs()
+    GEO_MIX: parseGeoMix(process.env.GEO_MIX),
+    EXPECT: expect, // per-link checks from assertions.js parseExpectations()
   };
 }
 
+/**
+ * Pick a random payload from a weighted list.
+ * Each payload has { name, weight, params }.
+ */
+function pickPayload(payloads, rng = Math.random) {
+  const totalWeight = payloads.reduce((sum, p) => sum + p.weight, 0);
+  let roll = rng() * totalWeight;
+  for (const payload of payloads) {
+    roll -= payload.weight;
+    if (roll <= 0) return payload;
+  }
+  return payloads[payloads.length - 1];
+}
+
 // ============================================================================
-// Data Sources for Realistic Traffic Simulation
+// Seeded Randomness
 // ============================================================================
 
 /**
- * Desktop user agents
+ * Hash a string to a 32-bit unsigned integer (FNV-1a)
  */
-const DESKTOP_USER_AGENTS = [
-  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-  "Mozilla/5.0 (Macintosh; Intel Mac OS X 13_6) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.0 Safari/605.1.15",
-  "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0",
-  "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36 Edg/121.0.0.0",
-];
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Create a seeded PRNG (mulberry32) — drop-in replacement for Math.random
+ */
+export function createRng(seed) {
+  let a = hashString(String(seed));
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), a | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ============================================================================
+// Utility Functions
+// ============================================================================
+
+// All random helpers take an optional rng (defaults to Math.random) so a
+// seeded generator can drive every decision when SEED is set
+const randInt = (min, max, rng = Math.random) => Math.floor(rng() * (max - min + 1)) + min;
+const randChoice = (arr, rng = Math.random) => arr[Math.floor(rng() * arr.length)];
+const weightedItem = (items, rng = Math.random) => {
+  const total = items.reduce((sum, item) => sum + item.weight, 0);
+  let roll = rng() * total;
+  for (const item of items) {
+    roll -= item.weight;
+    if (roll <= 0) return item;
+  }
+  return items[items.length - 1];
+};
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+// Sleep that ends early once `signal` aborts
+const abortableSleep = (ms, signal) => new Promise((resolve) => {
+  if (signal.aborted) return resolve();
+  const done = () => {
+    clearTimeout(timer);
+    signal.removeEventListener("abort", done);
+    resolve();
+  };
+  const timer = setTimeout(done, ms);
+  signal.addEventListener("abort", done);
+});
+
+const MOBILE_SOCIAL_BOOST = 3; // social/messaging referer weight multiplier for mobile visitors
+const AUTOMATED_REFERER_PROB = 0.05; // chance a CLI visitor still sends a Referer (bots never do)
+const ROBOTS_TTL_MS = 24 * 60 * 60 * 1000; // crawlers re-fetch robots.txt about once a day
 
 /**
- * Mobile user agents (includes phones and tablets)
+ * Generate a fake IP for a new visitor, in a /24 subnet no earlier visitor
+ * has used (analytics tools typically count unique visitors by /24)
  */
-const MOBILE_USER_AGENTS = [
-  "Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1",
-  "Mozilla/5.0 (Linux; Android 14; SM-G991B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36",
-  "Mozilla/5.0 (iPhone; CPU iPhone OS 16_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) CriOS/120.0.6099.119 Mobile/15E148 Safari/604.1",
-  "Mozilla/5.0 (Linux; Android 13; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36",
-  "Mozilla/5.0 (iPad; CPU OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1",
-  "Mozilla/5.0 (Linux; Android 13; SM-X906C) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-];
+function generateFakeIp(countryCode, ipFirstOctets, usedIps, rng = Math.random) {
+  const firstOctets = ipFirstOctets[countryCode] || ipFirstOctets.US;
+  let subnet;
+  for (let attempt = 0; attempt < 10; attempt++) {
+    subnet = `${randChoice(firstOctets, rng)}.${randInt(0, 255, rng)}.${randInt(0, 255, rng)}`;
+    if (!usedIps.has(subnet)) break;
+  }
+  usedIps.add(subnet);
+  return `${subnet}.${randInt(1, 254, rng)}`;
+}
 
 /**
- * Unknown/unclassifiable user agents — generic strings that analytics engines
- * (GA4, Plausible, Matomo, Mixpanel, etc.) cannot categorize as desktop or mobile
+ * An address inside one of a crawler's ranges ({ base, length }). Crawlers
+ * share their ranges, so unlike visitor IPs these aren't kept unique.
  */
-const UNKNOWN_USER_AGENTS = [
-  // Bots & crawlers — most common unknown traffic by far
-  { ua: "Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)", weight: 25 },
-  { ua: "Mozilla/5.0 (compatible; bingbot/2.0; +http://www.bing.com/bingbot.htm)", weight: 12 },
-  { ua: "facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)", weight: 8 },
-  { ua: "LinkedInBot/1.0 (compatible; Mozilla/5.0; Apache-HttpClient +http://www.linkedin.com)", weight: 5 },
-  { ua: "Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)", weight: 4 },
-  { ua: "Twitterbot/1.0", weight: 4 },
-  // AI agents & scrapers
-  { ua: "Claude-Web/1.0 (Anthropic)", weight: 6 },
-  { ua: "GPTBot/1.2 (+https://openai.com/gptbot)", weight: 6 },
-  { ua: "CCBot/2.0 (https://commoncrawl.org/faq/)", weight: 3 },
-  // CLI & libraries
-  { ua: "curl/8.4.0", weight: 8 },
-  { ua: "python-requests/2.31.0", weight: 6 },
-  { ua: "node-fetch/3.3.2", weight: 3 },
-  { ua: "axios/1.6.2", weight: 2 },
-  { ua: "Go-http-client/2.0", weight: 3 },
-  { ua: "Wget/1.21.4", weight: 2 },
-  // Odd devices — rare but real
-  { ua: "SmartTV/1.0 (SMART-TV; Linux; Tizen 7.0)", weight: 2 },
-  { ua: "Dalvik/2.1.0 (Linux; U; Android 12; oculus Build/SQ3A.220605.009.A1)", weight: 1 },
-];
-
-const ACCEPT_LANGS = [
-  "en-US,en;q=0.9",
-  "en-GB,en;q=0.9",
-  "da-DK,da;q=0.9,en-US;q=0.8,en;q=0.7",
-  "fr-FR,fr;q=0.9,en-US;q=0.8",
-];
-
-const REFERERS = [
-  "https://facebook.com/",
-  "https://twitter.com/",
-  "https://linkedin.com/",
-  "https://google.com/",
-  "https://reddit.com/",
-  "https://youtube.com/",
-  "https://discord.com/",
-  "https://slack.com/",
-  "https://whatsapp.com/",
-  "https://tiktok.com/",
-  "https://pinterest.com/",
-  "https://telegram.org/",
-  "https://weibo.com/",
-];
+function generateCrawlerIp(ranges, rng = Math.random) {
+  const { base, length } = randChoice(ranges, rng);
+  const size = 2 ** (32 - length);
+  const host = size > 2 ? randInt(1, size - 2, rng) : randInt(0, size - 1, rng); // skip network and broadcast
+  const value = base + host;
+  return [24, 16, 8, 0].map((shift) => Math.floor(value / 2 ** shift) % 256).join(".");
+}
 
 /**
- * Vercel geolocation headers simulation
- * Mix of US, Danish, and other international locations
+ * Generate a fake IPv6 prefix for a new visitor: a /prefixLength inside one
+ * of the country's ranges that no earlier visitor has used (analytics tools
+ * and redirect services typically count IPv6 visitors by /64 or /48)
  */
-const LOCATIONS = [
-  // US locations (with state codes)
-  {
-    country: "US",
-    city: "The%20Dalles",
-    region: "OR",
-    latitude: "45.5946",
-    longitude: "-121.1787",
-  },
-  {
-    country: "US",
-    city: "Atlanta",
-    region: "GA",
-    latitude: "33.7490",
-    longitude: "-84.3880",
-  },
-  {
-    country: "US",
-    city: "New%20York",
-    region: "NY",
-    latitude: "40.7128",
-    longitude: "-74.0060",
-  },
-  {
-    country: "US",
-    city: "San%20Francisco",
-    region: "CA",
-    latitude: "37.7749",
-    longitude: "-122.4194",
-  },
-  // Danish locations (with numeric region codes)
-  {
-    country: "DK",
-    city: "Copenhagen",
-    region: "84",
-    latitude: "55.6761",
-    longitude: "12.5683",
-  },
-  {
-    country: "DK",
-    city: "Aarhus",
-    region: "82",
-    latitude: "56.1629",
-    longitude: "10.2039",
-  },
-  // Other international locations
-  {
-    country: "DE",
-    city: "Munich",
-    region: "BY",
-    latitude: "48.1351",
-    longitude: "11.5820",
-  },
-  {
-    country: "GB",
-    city: "London",
-    region: "ENG",
-    latitude: "51.5074",
-    longitude: "-0.1278",
-  },
-  {
-    country: "FR",
-    city: "Paris",
-    region: "IDF",
-    latitude: "48.8566",
-    longitude: "2.3522",
-  },
-  // Additional international locations
-  {
-    country: "NL",
-    city: "Amsterdam",
-    region: "NH",
-    latitude: "52.3676",
-    longitude: "4.9041",
-  },
-  {
-    country: "SE",
-    city: "Stockholm",
-    region: "AB",
-    latitude: "59.3293",
-    longitude: "18.0686",
-  },
-  {
-    country: "JP",
-    city: "Tokyo",
-    region: "13",
-    latitude: "35.6762",
-    longitude: "139.6503",
-  },
-  {
-    country: "BR",
-    city: "S%C3%A3o%20Paulo",
-    region: "SP",
-    latitude: "-23.5505",
-    longitude: "-46.6333",
-  },
-  {
-    country: "AU",
-    city: "Sydney",
-    region: "NSW",
-    latitude: "-33.8688",
-    longitude: "151.2093",
-  },
-];
+function generateFakeIpv6Prefix(ranges, prefixLength, usedPrefixes, rng = Math.random) {
+  let prefix, key;
+  for (let attempt = 0; attempt < 10; attempt++) {
+    prefix = randomPrefix(randChoice(ranges, rng), prefixLength, rng);
+    key = prefixKey(prefix, prefixLength);
+    if (!usedPrefixes.has(key)) break;
+  }
+  usedPrefixes.add(key);
+  return { prefix, subnet: key };
+}
+
+// ============================================================================
+// Traffic Schedule (time-of-day intensity)
+// ============================================================================
 
 /**
- * First octet ranges that look realistic per country (avoid reserved ranges)
- * Each country gets multiple first-octet options for variety
+ * 24-hour intensity presets — index is the hour of day (0-23), 1 = peak
  */
-const IP_FIRST_OCTETS = {
-  US: [
-    3, 8, 13, 18, 23, 34, 35, 44, 50, 52, 54, 63, 64, 65, 66, 67, 68, 69, 70,
-    71, 72, 73, 74, 75, 76, 96, 97, 98, 99, 100, 104, 107, 108, 128, 129, 130,
-    131, 132, 134, 135, 136, 137, 138, 139, 140, 142, 143, 144, 147, 148, 149,
-    150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164,
-    165, 166, 167, 168, 170, 171, 172, 173, 174, 184, 198, 199, 204, 205, 206,
-    207, 208, 209,
-  ],
-  DK: [
-    2, 5, 31, 37, 46, 77, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92,
-    93, 94, 95, 109, 176, 178, 185, 188, 193, 194, 195, 212, 213,
-  ],
-  DE: [
-    2, 5, 31, 37, 46, 62, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89,
-    91, 92, 93, 94, 95, 109, 134, 138, 141, 145, 146, 176, 178, 185, 188, 193,
-    194, 195, 212, 213, 217,
+export const SCHEDULE_PRESETS = {
+  flat: Array(24).fill(1),
+  business_hours: [
+    0.05, 0.03, 0.02, 0.02, 0.03, 0.05, 0.1, 0.25, 0.55, 0.85, 1, 1,
+    0.9, 0.95, 1, 0.95, 0.85, 0.65, 0.4, 0.3, 0.25, 0.2, 0.12, 0.08,
   ],
-  GB: [
-    2, 5, 31, 37, 46, 51, 62, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88,
-    89, 90, 91, 92, 93, 94, 95, 109, 176, 178, 185, 188, 193, 194, 195, 212,
-    213, 217,
+  evening_peak: [
+    0.3, 0.18, 0.1, 0.06, 0.05, 0.06, 0.1, 0.2, 0.3, 0.35, 0.4, 0.45,
+    0.5, 0.45, 0.45, 0.5, 0.55, 0.65, 0.8, 0.95, 1, 0.95, 0.75, 0.5,
   ],
-  FR: [
-    2, 5, 31, 37, 46, 62, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89,
-    90, 91, 92, 93, 94, 95, 109, 176, 178, 185, 188, 193, 194, 195, 212, 213,
-    217,
-  ],
-  NL: [
-    2, 5, 31, 37, 46, 62, 77, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 91,
-    92, 93, 94, 95, 109, 145, 176, 178, 185, 188, 193, 194, 195, 212, 213,
-  ],
-  SE: [
-    2, 5, 31, 37, 46, 62, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88,
-    89, 91, 92, 93, 94, 95, 109, 176, 178, 185, 188, 193, 194, 195, 212, 213,
-  ],
-  JP: [
-    1, 14, 27, 36, 42, 49, 58, 59, 60, 61, 101, 106, 110, 111, 113, 114,
-    115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 133, 150,
-    153, 157, 160, 163, 175, 180, 182, 183, 202, 210, 211, 218, 219, 220,
-  ],
-  BR: [
-    131, 138, 139, 143, 146, 152, 155, 161, 168, 170, 177, 179, 186, 187,
-    189, 190, 191, 200, 201,
-  ],
-  AU: [
-    1, 14, 27, 43, 49, 58, 59, 60, 61, 101, 103, 106, 110, 112, 113, 114,
-    115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 144, 150, 175,
-    180, 182, 192, 202, 203, 210, 211, 218, 219, 220,
+  daytime: [
+    0.1, 0.06, 0.04, 0.03, 0.04, 0.08, 0.2, 0.4, 0.6, 0.75, 0.85, 0.95,
+    1, 1, 0.95, 0.9, 0.85, 0.8, 0.75, 0.65, 0.5, 0.35, 0.22, 0.14,
   ],
 };
 
 /**
- * Pick a random payload from a weighted list.
- * Each payload has { name, weight, params }.
+ * Resolve SCHEDULE_PROFILE (+ SCHEDULE_WEIGHTS for "custom") into 24 weights
+ * normalized to a peak of 1. Returns null for flat traffic (no scheduling).
  */
-function pickPayload(payloads) {
-  const totalWeight = payloads.reduce((sum, p) => sum + p.weight, 0);
-  let roll = Math.random() * totalWeight;
-  for (const payload of payloads) {
-    roll -= payload.weight;
-    if (roll <= 0) return payload;
+function resolveSchedule(config) {
+  const profile = config.SCHEDULE_PROFILE || "flat";
+  if (profile === "flat") return null;
+
+  let weights = SCHEDULE_PRESETS[profile];
+  if (profile === "custom") {
+    const raw = config.SCHEDULE_WEIGHTS;
+    weights = (Array.isArray(raw) ? raw : String(raw || "").split(",")).map(Number);
   }
-  return payloads[payloads.length - 1];
+
+  if (!weights || weights.length !== 24 || weights.some((w) => !(w >= 0)) || Math.max(...weights) <= 0) {
+    console.warn(`Invalid schedule "${profile}" (need 24 non-negative hourly weights), using flat traffic`);
+    return null;
+  }
+  const peak = Math.max(...weights);
+  return weights.map((w) => w / peak);
+}
+
+const hourFormatters = new Map();
+
+/**
+ * Fractional hour of day (e.g. 14.5) in an IANA timezone, or machine-local time
+ */
+function hourOfDay(date, timeZone) {
+  if (!timeZone) return date.getHours() + date.getMinutes() / 60;
+  if (!hourFormatters.has(timeZone)) {
+    hourFormatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone, hour: "numeric", minute: "numeric", hourCycle: "h23",
+    }));
+  }
+  const parts = hourFormatters.get(timeZone).formatToParts(date);
+  const part = (type) => Number(parts.find((p) => p.type === type).value);
+  return part("hour") + part("minute") / 60;
+}
+
+/**
+ * Schedule intensity at a fractional hour, interpolated between hourly weights
+ */
+function scheduleIntensity(weights, hour) {
+  const h0 = Math.floor(hour) % 24;
+  const t = hour - Math.floor(hour);
+  return weights[h0] * (1 - t) + weights[(h0 + 1) % 24] * t;
 }
 
 // ============================================================================
-// Utility Functions
+// Arrivals & Flash Crowds
 // ============================================================================
 
-const randInt = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
-const randChoice = (arr) => arr[Math.floor(Math.random() * arr.length)];
-const weightedChoice = (items) => {
-  const total = items.reduce((sum, item) => sum + item.weight, 0);
-  let roll = Math.random() * total;
-  for (const item of items) {
-    roll -= item.weight;
-    if (roll <= 0) return item.ua;
-  }
-  return items[items.length - 1].ua;
+const BURST_GAP = 0.1; // gaps inside a burst, as a fraction of the mean interval
+const WAIT_SLICE_MS = 5000; // how often a wait re-checks schedule and flash crowds
+const BUCKET_CATCH_UP = 3; // hits a stream may catch up after being held back
+const MAX_BODY_BYTES = 512 * 1024; // page HTML kept for session link discovery
+const DECODERS = {
+  gzip: () => zlib.createGunzip(),
+  "x-gzip": () => zlib.createGunzip(),
+  deflate: () => zlib.createInflate(),
+  br: () => zlib.createBrotliDecompress(),
 };
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
 /**
- * Generate a simulated IP address for a given country code
- * Generates fully random IPs for massive uniqueness
- * The redirect service normalizes to /24 subnet, so first 3 octets matter for uniqueness
+ * Parse FLASH_CROWDS — [{ at, minutes, multiplier }] where "at" is a daily
+ * local time ("14:30") or a one-off ISO date-time
  */
-function generateFakeIp(countryCode, usedIps, uniqueIpProb) {
-  // Decide if this should be a unique IP or potentially a repeat
-  if (Math.random() < uniqueIpProb || usedIps.size === 0) {
-    // Generate a completely unique IP
-    const firstOctets = IP_FIRST_OCTETS[countryCode] || IP_FIRST_OCTETS.US;
-    const octet1 = randChoice(firstOctets);
-    const octet2 = randInt(0, 255);
-    const octet3 = randInt(0, 255);
-    const octet4 = randInt(1, 254);
-
-    const ip = `${octet1}.${octet2}.${octet3}.${octet4}`;
-
-    // Store the /24 subnet (what gets normalized) for potential reuse
-    const subnet = `${octet1}.${octet2}.${octet3}`;
-    usedIps.add(subnet);
-
-    return ip;
-  } else {
-    // Return a previously used subnet (simulates repeat visitor)
-    const subnets = Array.from(usedIps);
-    const subnet = randChoice(subnets);
-    return `${subnet}.${randInt(1, 254)}`;
+function parseFlashCrowds(raw) {
+  let list = raw;
+  if (typeof raw === "string") {
+    try {
+      list = raw ? JSON.parse(raw) : [];
+    } catch (e) {
+      console.warn("Failed to parse FLASH_CROWDS:", e.message);
+      list = [];
+    }
   }
+  return (Array.isArray(list) ? list : []).filter((f) => f && f.at);
+}
+
+/**
+ * Whether a scheduled flash crowd covers the given moment
+ */
+function flashCrowdActive(flash, now, defaultMinutes) {
+  const durationMs = (flash.minutes || defaultMinutes) * 60 * 1000;
+  const daily = String(flash.at).match(/^(\d{1,2}):(\d{2})$/);
+  if (!daily) {
+    const start = Date.parse(flash.at);
+    return now >= start && now < start + durationMs;
+  }
+  // Daily: check today's and yesterday's start (windows can cross midnight)
+  const start = new Date(now);
+  start.setHours(Number(daily[1]), Number(daily[2]), 0, 0);
+  return [start.getTime(), start.getTime() - 86_400_000].some(
+    (t) => now >= t && now < t + durationMs,
+  );
 }
 
 // ============================================================================
@@ -370,9 +405,24 @@ function generateFakeIp(countryCode, usedIps, uniqueIpProb) {
 
 /**
  * TrafficSimulator - simulates realistic web traffic to a target URL
+ *
+ * Emits a single "event" event carrying typed objects:
+ *   { type: "hit", workerId, hitNumber, status, latencyMs, visit,
+ *     redirects, destination, finalStatus, redirectError, (with FOLLOW_REDIRECTS)
+ *     failedChecks, (with EXPECT; [] when every check passed)
+ *     session: { id, page, pages } } (with SESSION_MODE; also on errors)
+ *   { type: "error", workerId, hitNumber, message, latencyMs, visit }
+ *   { type: "session_end", workerId, id, pagesPlanned, pagesVisited } (with SESSION_MODE)
+ *   { type: "phase_change", workerId, phase: "active" | "idle", minutes }
+ *   { type: "rate", workerId, rate }
+ *   { type: "flash_crowd", active, multiplier }
+ *   { type: "scenario_step", name, index, total, label, stepEndsAt, endsAt }
+ *   { type: "scenario_complete", name }
  */
-export class TrafficSimulator {
+export class TrafficSimulator extends EventEmitter {
   constructor(targetUrl, config = {}) {
+    super();
+
     // Validate URL
     try {
       new URL(targetUrl);
@@ -382,64 +432,390 @@ export class TrafficSimulator {
 
     this.targetUrl = targetUrl;
     this.config = { ...getConfig(), ...config };
-    this.usedIps = new Set();
+    this.catalogs = loadCatalogs(this.config.CATALOGS);
+    this._deriveFromConfig();
+    const unusedUaCatalogs = this.browserMix
+      ? ["desktopUserAgents", "mobileUserAgents"].filter((name) => (this.config.CATALOGS || {})[name])
+      : [];
+    if (unusedUaCatalogs.length > 0) {
+      console.warn(`CATALOGS: ${unusedUaCatalogs.join(", ")} unused — User-Agents are generated from BROWSER_MIX unless UA_SOURCE=catalog`);
+    }
+    // Accept-Language by visitor country; entries without a country are the
+    // international fallback (the whole catalog if every entry has one)
+    this.languagesByCountry = new Map();
+    for (const entry of this.catalogs.acceptLanguages) {
+      if (entry.country) this.languagesByCountry.set(entry.country, [...(this.languagesByCountry.get(entry.country) || []), entry]);
+    }
+    const international = this.catalogs.acceptLanguages.filter((entry) => !entry.country);
+    this.internationalLanguages = international.length > 0 ? international : this.catalogs.acceptLanguages;
+    this.referersByClass = {
+      desktop: this.catalogs.referers,
+      mobile: this.catalogs.referers.map((entry) => ({
+        ...entry,
+        weight: entry.channel === "social" || entry.channel === "messaging" ? entry.weight * MOBILE_SOCIAL_BOOST : entry.weight,
+      })),
+      unknown: this.catalogs.referers,
+    };
+    // Bots crawl from their operators' ranges: the crawler whose `match` is in
+    // the User-Agent, else the one without a match
+    this.crawlers = Object.entries(this.catalogs.crawlerRanges).map(([name, crawler]) => ({
+      name,
+      match: crawler.match.toLowerCase(),
+      country: crawler.country,
+      ranges: crawler.prefixes.map(parseIpv4Prefix),
+    }));
+    this.usedIps = new Set(); // /24 subnets handed out to visitors
+    this.usedIpv6 = new Set(); // IPv6 prefixes (at IPV6_PREFIX_LENGTH) handed out to visitors
+    this.ipv6Ranges = Object.fromEntries(
+      Object.entries(this.catalogs.ipv6Prefixes).map(([country, prefixes]) => [country, prefixes.map(parseIpv6Prefix)]),
+    );
+    this.visitorPool = new VisitorPool(this.config.VISITOR_POOL_SIZE);
     this.hitCounter = 0;
     this.workers = [];
     this.isRunning = false;
+    this.stopController = new AbortController(); // aborted by stop() to cut waits short
     this.proxyPool = new WorkerProxyPool(this.config);
     this.proxyAgentCache = new Map(); // cache agents by proxy URL
+    this.keepAliveAgents = this.config.HIGH_THROUGHPUT
+      ? createKeepAliveAgents(Math.max(1, this.config.MAX_SOCKETS || 1))
+      : null; // null = new connection per hit
+    this.rngs = new Map(); // seeded random sources by worker id
+    this.burstRemaining = new Map(); // hits left in the current burst, by worker id
+    this.randomFlash = null; // { until, multiplier } while a random flash crowd runs
+    this.lastFlashRoll = Date.now();
+    this.flashActive = false;
+    this.checkResponse = this.config.EXPECT ? createChecker(this.config.EXPECT) : null;
+    this.sessionCounters = new Map(); // sessions started, by worker id
+    this.openSessions = 0; // sessions still on their journey
+    this.inFlight = 0; // requests awaiting a response
+    this.slotWaiters = []; // dispatches waiting for an in-flight slot
   }
 
   /**
-   * Execute a single HTTP request with simulated headers
+   * Build the state derived from config values; rebuilt whenever a scenario
+   * "set" step (or the start of a new loop cycle) changes the config
    */
-  async doHit(workerId) {
-    const hitNumber = ++this.hitCounter;
-    // Pick user agent: first check unknown ratio, then split desktop/mobile
-    const isUnknown = Math.random() * 100 < (this.config.UNKNOWN_RATIO || 0);
-    let ua;
+  _deriveFromConfig() {
+    this._capTrafficRatios();
+    this.locations = applyGeoMix(this.catalogs.locations, this.config.GEO_MIX); // weighted by country/city share
+    // Desktop/mobile User-Agents: generated by browser/OS share, or the catalogs
+    this.browserMix = this.config.UA_SOURCE === "catalog" ? null : browserMixByDevice(this.config.BROWSER_MIX);
+    this.schedule = resolveSchedule(this.config); // null = flat
+    this.flashCrowds = parseFlashCrowds(this.config.FLASH_CROWDS);
+    this.analytics = resolveAnalytics(this.config); // null = no tracking calls
+    this.sessionPages = parseSessionPages(this.config.SESSION_PAGES);
+  }
+
+  /**
+   * Unknown and in-app visitors share 100% — past that, desktop and mobile
+   * would get nothing, so in-app traffic is capped at what unknown leaves
+   */
+  _capTrafficRatios() {
+    const unknown = this.config.UNKNOWN_RATIO || 0;
+    if (unknown + (this.config.INAPP_RATIO || 0) <= 100) return;
+    this.config.INAPP_RATIO = Math.max(0, 100 - unknown);
+    console.warn(`UNKNOWN_RATIO + INAPP_RATIO is over 100%, in-app traffic capped at ${this.config.INAPP_RATIO}%`);
+  }
+
+  /**
+   * Interval multiplier for the next arrival (mean 1) per ARRIVAL_MODEL:
+   *   uniform — fixed interval with ±10% jitter
+   *   poisson — exponential inter-arrival times
+   *   bursty  — geometric-size bursts (mean BURST_SIZE) of closely spaced
+   *             hits, with longer exponential gaps between bursts
+   */
+  _arrivalMultiplier(workerId, rng) {
+    const exponential = () => -Math.log(1 - rng());
+    switch (this.config.ARRIVAL_MODEL) {
+      case "poisson":
+        return exponential();
+      case "bursty": {
+        const size = Math.max(1, this.config.BURST_SIZE || 1);
+        const remaining = this.burstRemaining.get(workerId) || 0;
+        if (remaining > 0) {
+          this.burstRemaining.set(workerId, remaining - 1);
+          return BURST_GAP * exponential();
+        }
+        // Start a new burst; the gap before it keeps the mean rate intact
+        let burst = 1;
+        while (rng() > 1 / size) burst++;
+        this.burstRemaining.set(workerId, burst - 1);
+        return (size - BURST_GAP * (size - 1)) * exponential();
+      }
+      default:
+        return 1 + (rng() * 0.2 - 0.1);
+    }
+  }
+
+  /**
+   * Current flash crowd multiplier (1 when none). Scheduled crowds come from
+   * FLASH_CROWDS; random ones start with FLASH_CROWD_CHANCE per hour.
+   */
+  _flashMultiplier(now = Date.now()) {
+    const minutes = this.config.FLASH_CROWD_MINUTES || 3;
+    const multiplier = this.config.FLASH_CROWD_MULTIPLIER || 5;
+
+    // Roll for a random flash crowd at most once a minute
+    if (this.config.FLASH_CROWD_CHANCE > 0 && now - this.lastFlashRoll >= 60000) {
+      const rolls = Math.floor((now - this.lastFlashRoll) / 60000);
+      this.lastFlashRoll += rolls * 60000;
+      const chance = 1 - Math.pow(1 - Math.min(1, this.config.FLASH_CROWD_CHANCE) / 60, rolls);
+      if (!this.randomFlash && this._rng("flash")() < chance) {
+        this.randomFlash = { until: now + minutes * 60 * 1000, multiplier };
+      }
+    }
+    if (this.randomFlash && now >= this.randomFlash.until) this.randomFlash = null;
+
+    const scheduled = this.flashCrowds.find((f) => flashCrowdActive(f, now, minutes));
+    const active = scheduled
+      ? scheduled.multiplier || multiplier
+      : this.randomFlash ? this.randomFlash.multiplier : 1;
+
+    if ((active > 1) !== this.flashActive) {
+      this.flashActive = active > 1;
+      console.log(
+        new Date(now).toISOString(),
+        this.flashActive ? `FLASH CROWD x${active}` : "FLASH CROWD over",
+      );
+      this._emitEvent("flash_crowd", { active: this.flashActive, multiplier: active });
+    }
+    return active;
+  }
+
+  /**
+   * Rate multiplier (0-1) from the time-of-day schedule right now.
+   * In "visitor" timezone mode it is the mean intensity over locations
+   * (by geography weight), each at its own local hour.
+   */
+  _scheduleFactor(now = new Date()) {
+    if (!this.schedule) return 1;
+    if (this.config.SCHEDULE_TIMEZONE !== "visitor") {
+      return scheduleIntensity(this.schedule, hourOfDay(now));
+    }
+    const { locations } = this;
+    const total = locations.reduce(
+      (sum, loc) => sum + loc.weight * scheduleIntensity(this.schedule, hourOfDay(now, loc.timezone)),
+      0,
+    );
+    return total / locations.reduce((sum, loc) => sum + loc.weight, 0);
+  }
+
+  /**
+   * Pick a visitor location — weighted by local time of day in "visitor"
+   * timezone mode, so Tokyo peaks in Tokyo daytime and the US in US daytime
+   */
+  _pickLocation(rng) {
+    const { locations } = this;
+    if (!this.schedule || this.config.SCHEDULE_TIMEZONE !== "visitor") {
+      return weightedItem(locations, rng);
+    }
+    const now = new Date();
+    const weighted = locations.map((loc) => ({
+      loc,
+      weight: loc.weight * scheduleIntensity(this.schedule, hourOfDay(now, loc.timezone)),
+    }));
+    return weightedItem(weighted, rng).loc;
+  }
+
+  /**
+   * Random source for a worker. With SEED set, each link and worker gets its
+   * own derived stream so runs with the same seed and config are reproducible.
+   */
+  _rng(workerId) {
+    if (this.config.SEED == null || this.config.SEED === "") return Math.random;
+    if (!this.rngs.has(workerId)) {
+      this.rngs.set(workerId, createRng(`${this.config.SEED}:${this.targetUrl}:${workerId}`));
+    }
+    return this.rngs.get(workerId);
+  }
+
+  /**
+   * Random source for one session, derived from the seed and session id so
+   * a journey draws the same values however its pages interleave with other
+   * workers' hits
+   */
+  _sessionRng(sessionId) {
+    if (this.config.SEED == null || this.config.SEED === "") return Math.random;
+    return createRng(`${this.config.SEED}:${this.targetUrl}:session:${sessionId}`);
+  }
+
+  /**
+   * Emit a typed event for listeners (worker.js forwards these over IPC)
+   */
+  _emitEvent(type, data) {
+    this.emit("event", { type, ts: Date.now(), ...data });
+  }
+
+  /**
+   * Visitor for the next visit: with UNIQUE_IP_PROB a newly minted one,
+   * otherwise a returning visitor drawn from the pool by visit frequency
+   */
+  _pickVisitor(rng) {
+    const returning = this.visitorPool.size > 0 && rng() >= this.config.UNIQUE_IP_PROB;
+    const visitor = returning ? this.visitorPool.draw(rng) : this.visitorPool.add(this._mintVisitor(rng), rng);
+    // An IPv6 visitor keeps its prefix, but the address inside it rotates
+    if (returning && visitor.ipVersion === 6) {
+      visitor.fakeIp = randomAddressIn(visitor.ipPrefix, visitor.prefixLength, rng);
+    }
+    visitor.visits++;
+    return visitor;
+  }
+
+  /**
+   * Referer for a visit: a visitor mostly arrives the way they usually do,
+   * with the template's country domain and path filled in per visit
+   */
+  _visitReferer(visitor, rng) {
+    const template = visitor.visits <= 1 || rng() < 0.75 ? visitor.referers[0] : visitor.referers[1];
+    return template && expandReferer(template, visitor.location.country, rng);
+  }
+
+  /**
+   * Accept-Language for a visitor: one of its country's, or with
+   * ENGLISH_FALLBACK % (and for countries without entries) an international one
+   */
+  _pickLanguage(location, rng) {
+    const local = this.languagesByCountry.get(location.country);
+    const fallback = !local || rng() * 100 < (this.config.ENGLISH_FALLBACK || 0);
+    return weightedItem(fallback ? this.internationalLanguages : local, rng).language;
+  }
+
+  /**
+   * A visitor's usual referers (templates). Each is direct — null, no Referer —
+   * with DIRECT_TRAFFIC %; bots never send one and CLI clients rarely do.
+   * Mobile visitors lean on social and messaging apps. In-app browsers and
+   * scanners send what their app sends, usually nothing.
+   */
+  _pickReferers(agent, uaClass, rng) {
+    if (uaClass === "inapp") return [agent.referer || null, agent.referer || null];
+    if (agent.browser === "bot") return [null, null];
+    if (isAutomated(agent.browser) && rng() >= AUTOMATED_REFERER_PROB) return [null, null];
+    const referers = this.referersByClass[uaClass];
+    const pick = () => (rng() * 100 < (this.config.DIRECT_TRAFFIC || 0) ? null : weightedItem(referers, rng).referer);
+    return [pick(), pick()];
+  }
+
+  /**
+   * The crawler behind a bot User-Agent, or null when no crawler ranges apply
+   */
+  _crawlerFor(ua) {
+    const lower = ua.toLowerCase();
+    return this.crawlers.find((crawler) => crawler.match && lower.includes(crawler.match))
+      || this.crawlers.find((crawler) => !crawler.match)
+      || null;
+  }
+
+  /**
+   * Mint a new visitor profile: device and User-Agent, language, usual
+   * referers, location, spoofed IP and a cookie jar kept across visits.
+   * Bots get an IP from their crawler's ranges and a location in its country.
+   */
+  _mintVisitor(rng) {
+    // Pick user agent: first check unknown and in-app ratios, then split
+    // the rest desktop/mobile
+    const roll = rng() * 100;
+    const isUnknown = roll < (this.config.UNKNOWN_RATIO || 0);
+    const isInApp = !isUnknown && roll < (this.config.UNKNOWN_RATIO || 0) + (this.config.INAPP_RATIO || 0);
+    let agent;
+    let uaClass = "unknown";
+    const { catalogs } = this;
     if (isUnknown) {
-      ua = weightedChoice(UNKNOWN_USER_AGENTS);
+      agent = weightedItem(catalogs.unknownUserAgents, rng);
+    } else if (isInApp) {
+      uaClass = "inapp";
+      agent = weightedItem(catalogs.inAppUserAgents, rng);
     } else {
-      const isDesktop = Math.random() * 100 < this.config.DEVICE_RATIO;
-      ua = randChoice(isDesktop ? DESKTOP_USER_AGENTS : MOBILE_USER_AGENTS);
-    }
-    const al = randChoice(ACCEPT_LANGS);
-    const ref = randChoice(REFERERS);
-    const location = randChoice(LOCATIONS);
-    const cacheBust = Math.random().toString(36).slice(2, 9);
-
-    // Generate a unique fake IP for this request
-    const fakeIp = generateFakeIp(
-      location.country,
-      this.usedIps,
-      this.config.UNIQUE_IP_PROB,
-    );
+      const isDesktop = rng() * 100 < this.config.DEVICE_RATIO;
+      uaClass = isDesktop ? "desktop" : "mobile";
+      agent = this.browserMix
+        ? generateUserAgent(weightedItem(this.browserMix[uaClass], rng), rng)
+        : weightedItem(isDesktop ? catalogs.desktopUserAgents : catalogs.mobileUserAgents, rng);
+    }
+    const crawler = agent.browser === "bot" ? this._crawlerFor(agent.ua) : null;
+    const crawlerLocations = crawler ? this.catalogs.locations.filter((loc) => loc.country === crawler.country) : [];
+    const location = crawlerLocations.length > 0 ? weightedItem(crawlerLocations, rng) : this._pickLocation(rng);
+    const al = this._pickLanguage(location, rng);
+
+    // Generate a unique fake IP for this visitor — IPv6 for IPV6_SHARE % of
+    // visitors from countries with IPv6 ranges, IPv4 otherwise
+    const ipv6Ranges = this.ipv6Ranges[location.country];
+    const useIpv6 = !crawler && this.config.IPV6_SHARE > 0 && ipv6Ranges && rng() * 100 < this.config.IPV6_SHARE;
+    let address;
+    if (crawler) {
+      const fakeIp = generateCrawlerIp(crawler.ranges, rng);
+      address = { fakeIp, ipVersion: 4, subnet: fakeIp.split(".").slice(0, 3).join(".") };
+    } else if (useIpv6) {
+      const prefixLength = this.config.IPV6_PREFIX_LENGTH;
+      const { prefix, subnet } = generateFakeIpv6Prefix(ipv6Ranges, prefixLength, this.usedIpv6, rng);
+      address = { fakeIp: randomAddressIn(prefix, prefixLength, rng), ipVersion: 6, subnet, ipPrefix: prefix, prefixLength };
+    } else {
+      const fakeIp = generateFakeIp(location.country, catalogs.ipFirstOctets, this.usedIps, rng);
+      address = { fakeIp, ipVersion: 4, subnet: fakeIp.split(".").slice(0, 3).join(".") };
+    }
+    return {
+      id: [rng(), rng()].map((r) => Math.floor(r * 2 ** 32).toString(16).padStart(8, "0")).join(""),
+      ua: agent.ua,
+      browser: agent.browser, // family and version decide the header set (browsers.js)
+      browserVersion: agent.version,
+      app: agent.app || null, // in-app visitors: instagram, facebook, ..., scanner
+      crawler: crawler ? crawler.name : null, // bots: googlebot, bingbot, ..., or the catch-all
+      uaClass,
+      al,
+      referers: this._pickReferers(agent, uaClass, rng),
+      location,
+      ...address, // fakeIp, ipVersion, subnet (+ ipPrefix, prefixLength for IPv6)
+      jar: new CookieJar(),
+      visits: 0,
+    };
+  }
+
+  /**
+   * Execute a single HTTP request with simulated headers. Within a session
+   * the visitor, Referer and cookie jar come from the session, and only the
+   * landing page (page 0) gets URL params.
+   */
+  async doHit(workerId, session = null) {
+    const hitNumber = ++this.hitCounter;
+    const rng = session ? session.rng : this._rng(workerId);
+    const visitor = session ? session.visitor : this._pickVisitor(rng);
+    const { ua, uaClass, al, location, fakeIp } = visitor;
+    const ref = session ? session.referer : this._visitReferer(visitor, rng);
+    const jar = session ? session.jar : visitor.jar;
+    const cacheBust = rng().toString(36).slice(2, 9);
+    const isLanding = !session || session.page === 0;
 
     // Build URL with dynamic URL parameters (and optional payloads)
-    const sep = this.targetUrl.includes("?") ? "&" : "?";
+    const baseUrl = isLanding ? this.targetUrl : session.url;
+    const sep = baseUrl.includes("?") ? "&" : "?";
     // Use cache bust as a URL fragment (not a query param) to avoid polluting url_params
-    let url = this.targetUrl;
+    let url = baseUrl;
     const appliedParams = [];
+    const paramValues = {}; // every query param appended, for the ledger
+    const paramKeys = []; // URL_PARAMS keys that fired
+    const payloadNames = [];
 
     // Add URL parameters based on their probability
     // If a param has payloads, pick one by weight and append its key-value pairs too
     const paramParts = [];
-    this.config.URL_PARAMS.forEach((param) => {
-      if (Math.random() * 100 < param.probability) {
+    (isLanding ? this.config.URL_PARAMS : []).forEach((param) => {
+      if (rng() * 100 < param.probability) {
         if (param.value) {
           paramParts.push(`${encodeURIComponent(param.key)}=${encodeURIComponent(param.value)}`);
         } else {
           paramParts.push(encodeURIComponent(param.key));
         }
         appliedParams.push(param.key);
+        paramKeys.push(param.key);
+        paramValues[param.key] = param.value || "";
 
         // If this param has payloads, pick one and append its params
         if (param.payloads && param.payloads.length > 0) {
-          const payload = pickPayload(param.payloads);
+          const payload = pickPayload(param.payloads, rng);
+          payloadNames.push(payload.name);
           for (const [key, value] of Object.entries(payload.params)) {
             paramParts.push(`${encodeURIComponent(key)}=${encodeURIComponent(value)}`);
             appliedParams.push(`${key}=${value}`);
+            paramValues[key] = value;
           }
         }
       }
@@ -452,82 +828,180 @@ export class TrafficSimulator {
     // Append cache bust as fragment (not captured by url_params)
     url += `#${cacheBust}`;
 
-    const controller = new AbortController();
-    const timeout = setTimeout(
-      () => controller.abort(),
-      this.config.TIMEOUT_MS,
+    // Get proxy for this request (null if mode=none) — a session keeps its own
+    if (session && session.proxyUrl === undefined) session.proxyUrl = this.proxyPool.getProxy();
+    const proxyUrl = session ? session.proxyUrl : this.proxyPool.getProxy();
+    const { agent, proxied } = await this._agentFor(new URL(url).protocol, proxyUrl);
+
+    // The visitor's browser decides the header set and its order (Client
+    // Hints, Sec-Fetch-*, or a bot's or CLI tool's short set).
+    // When using a real proxy, don't spoof any headers — let the proxy's real IP
+    // and the edge's own geo-detection handle everything.
+    // When not using proxy (mode=none), spoof the enabled geo header profiles.
+    const useRealProxy = proxied;
+    const sendsCookies = !isAutomated(visitor.browser);
+    const browserAgent = { ua, browser: visitor.browser, version: visitor.browserVersion };
+    const headers = buildBrowserHeaders(
+      browserAgent,
+      { url, referer: ref, language: al, cookie: sendsCookies ? jar.header(url) : null },
     );
+    const geoHeaders = useRealProxy ? {} : buildGeoHeaders(
+      this.config.GEO_HEADER_PROFILES,
+      { ip: fakeIp, location, uaClass },
+      this.config.GEO_HEADERS_CUSTOM,
+      rng,
+    );
+    Object.assign(headers, geoHeaders);
 
-    const parsedUrl = new URL(url);
-    const doRequest = parsedUrl.protocol === "https:" ? https.request : http.request;
+    // What was actually sent — carried on hit/error events for the ledger.
+    // IP and location are null when a real proxy decides them instead.
+    const visit = {
+      link: this.targetUrl,
+      url: url.split("#")[0],
+      params: paramValues,
+      paramKeys,
+      payloads: payloadNames,
+      uaClass,
+      ua,
+      browser: visitor.browser,
+      browserVersion: visitor.browserVersion,
+      app: visitor.app,
+      crawler: visitor.crawler ?? null,
+      ip: useRealProxy ? null : fakeIp,
+      ipVersion: useRealProxy ? null : visitor.ipVersion,
+      subnet: useRealProxy ? null : visitor.subnet,
+      country: useRealProxy ? null : location.country,
+      city: useRealProxy ? null : decodeURIComponent(location.city),
+      region: useRealProxy ? null : location.region,
+      referer: ref,
+      acceptLanguage: headers["Accept-Language"] ?? null, // bots and CLI tools send none
+      visitorId: visitor.id,
+      returning: visitor.visits > 1,
+    };
 
-    // Get proxy for this request (null if mode=none)
-    const proxyUrl = this.proxyPool.getProxy();
-    let agent = undefined;
-    if (proxyUrl) {
+    // Crawlers check robots.txt before crawling a host, from the same IP
+    if (this.config.BOT_ROBOTS_TXT && visitor.crawler && isLanding && !(visitor.robotsFetchedAt > Date.now() - ROBOTS_TTL_MS)) {
+      visitor.robotsFetchedAt = Date.now();
+      const robotsUrl = new URL("/robots.txt", url).href;
+      // Its own timeout, so a slow robots.txt doesn't use up the link's
+      const robotsController = new AbortController();
+      const robotsTimeout = setTimeout(() => robotsController.abort(), this.config.TIMEOUT_MS);
       try {
-        // Cache agents to avoid creating new ones per request
-        if (!this.proxyAgentCache.has(proxyUrl)) {
-          this.proxyAgentCache.set(proxyUrl, await createProxyAgent(proxyUrl, parsedUrl.protocol));
-        }
-        agent = this.proxyAgentCache.get(proxyUrl);
-      } catch (err) {
-        // Fall back to direct connection if agent creation fails
-        this.proxyPool.markFailed(proxyUrl);
+        const res = await this._send(robotsUrl, {
+          method: "GET",
+          headers: { ...buildBrowserHeaders(browserAgent, { url: robotsUrl, language: al }), ...geoHeaders },
+          agent,
+          proxied: useRealProxy,
+          signal: robotsController.signal,
+        });
+        visit.robotsTxt = res.statusCode;
+      } catch {
+        visit.robotsTxt = "error"; // the link is still visited
+      } finally {
+        clearTimeout(robotsTimeout);
       }
     }
 
-    // When using a real proxy, don't spoof any headers — let the proxy's real IP
-    // and Vercel's own geo-detection handle everything.
-    // When not using proxy (mode=none), keep the full header spoofing behavior.
-    const useRealProxy = !!agent;
-    const headers = {
-      "User-Agent": ua,
-      "Accept-Language": al,
-      Referer: ref,
-      Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
-    };
-    if (!useRealProxy) {
-      // Full header spoofing — only when no real proxy
-      headers["x-forwarded-for"] = fakeIp;
-      headers["x-real-ip"] = fakeIp;
-      headers["x-vercel-ip-country"] = location.country;
-      headers["x-vercel-ip-city"] = location.city;
-      headers["x-vercel-ip-country-region"] = location.region;
-      headers["x-vercel-ip-latitude"] = location.latitude;
-      headers["x-vercel-ip-longitude"] = location.longitude;
-    }
-
+    // TIMEOUT_MS covers the link request and its redirects, from here
+    const controller = new AbortController();
+    const timeout = setTimeout(
+      () => controller.abort(),
+      this.config.TIMEOUT_MS,
+    );
+    const startedAt = Date.now();
     try {
-      const res = await new Promise((resolve, reject) => {
-        const req = doRequest(url, {
+      // Session pages are read (not just drained) so the journey can find links
+      const res = await this._send(url, {
+        method: this.config.METHOD,
+        headers,
+        agent,
+        proxied: useRealProxy,
+        signal: controller.signal,
+        readBody: !!session,
+      });
+      const latencyMs = Date.now() - startedAt;
+      jar.store(res.headers["set-cookie"], url);
+
+      // Where the link lands, when following redirects (sessions always do,
+      // like the browser they simulate)
+      const followed = this.config.FOLLOW_REDIRECTS || session
+        ? await this._followRedirects(url, res, latencyMs, {
           method: this.config.METHOD,
-          signal: controller.signal,
-          lookup: agent ? undefined : cachedLookup, // skip DNS cache when proxied
-          agent,
           headers,
-        }, (response) => {
-          response.resume(); // drain body immediately
-          resolve(response);
+          proxyUrl: useRealProxy ? proxyUrl : null,
+          signal: controller.signal,
+          jar: sendsCookies ? jar : null,
+          readBody: !!session,
+        })
+        : null;
+
+      // Per-link expectations; a failed check is reported, not an error
+      const failedChecks = this.checkResponse && isLanding
+        ? this.checkResponse({
+          url,
+          status: res.statusCode,
+          location: res.headers.location,
+          params: paramValues,
+          destination: followed && followed.destination,
+        })
+        : null;
+
+      // The page's analytics snippet reports the view once the page has
+      // loaded — in a browser, not in a bot or CLI tool
+      const pageStatus = followed ? followed.finalStatus : res.statusCode;
+      if (this.analytics && sendsCookies && pageStatus >= 200 && pageStatus < 300) {
+        visit.analytics = await this._sendAnalytics(visit, {
+          pageUrl: followed ? followed.destination : visit.url,
+          session,
+          location,
+          geoHeaders,
+          proxyUrl,
+          signal: controller.signal,
         });
-        req.on("error", reject);
-        req.end();
-      });
+      }
 
-      const ipLabel = useRealProxy ? "PROXY" : fakeIp;
-      const locationLabel = useRealProxy ? "→ proxy" : `${decodeURIComponent(location.city)}, ${location.region}, ${location.country}`;
-      console.log(
-        new Date().toISOString(),
-        `W${workerId}`,
-        `#${hitNumber}`,
-        res.statusCode,
-        locationLabel,
-        ipLabel,
-        ua.split(" ")[0],
-        appliedParams.length > 0 ? `[${appliedParams.join(",")}]` : "",
-      );
+      // Per-hit lines would swamp the output at high-throughput rates
+      if (!this.config.HIGH_THROUGHPUT) {
+        const ipLabel = useRealProxy ? "PROXY" : fakeIp;
+        const locationLabel = useRealProxy ? "→ proxy" : `${decodeURIComponent(location.city)}, ${location.region}, ${location.country}`;
+        console.log(
+          new Date().toISOString(),
+          `W${workerId}`,
+          `#${hitNumber}`,
+          res.statusCode,
+          locationLabel,
+          ipLabel,
+          ua.split(" ")[0],
+          appliedParams.length > 0 ? `[${appliedParams.join(",")}]` : "",
+          followed ? `→ ${followed.error ? `✗ ${followed.error}` : `${followed.finalStatus} ${followed.destination}`}` : "",
+          failedChecks && failedChecks.length > 0 ? `CHECK FAILED: ${failedChecks.map((f) => f.message).join("; ")}` : "",
+          session ? `(session ${session.id} page ${session.page + 1}/${session.pages})` : "",
+        );
+      }
 
-      return { success: true, status: res.statusCode, hitNumber };
+      this._emitEvent("hit", {
+        workerId,
+        hitNumber,
+        status: res.statusCode,
+        latencyMs,
+        visit,
+        ...(followed && {
+          redirects: followed.chain,
+          destination: followed.destination,
+          finalStatus: followed.finalStatus,
+          redirectError: followed.error,
+        }),
+        ...(failedChecks && { failedChecks }),
+        ...(session && { session: { id: session.id, page: session.page, pages: session.pages } }),
+      });
+      const final = followed ? followed.response : res;
+      return {
+        success: true,
+        status: res.statusCode,
+        hitNumber,
+        finalUrl: followed ? followed.destination : url.split("#")[0],
+        body: final && final.body,
+      };
     } catch (err) {
       // Mark proxy as failed so pool can rotate away from it
       if (proxyUrl) this.proxyPool.markFailed(proxyUrl);
@@ -539,37 +1013,329 @@ export class TrafficSimulator {
         "ERROR",
         err.message,
       );
+      this._emitEvent("error", {
+        workerId,
+        hitNumber,
+        message: err.message,
+        latencyMs: Date.now() - startedAt,
+        visit,
+        ...(session && { session: { id: session.id, page: session.page, pages: session.pages } }),
+      });
       return { success: false, error: err.message, hitNumber };
     } finally {
       clearTimeout(timeout);
     }
   }
 
+  /**
+   * Agent for a request to `protocol`: the proxy's agent when proxied, the
+   * shared keep-alive agent in high-throughput mode, otherwise undefined
+   * (a new connection per request)
+   */
+  async _agentFor(protocol, proxyUrl) {
+    if (proxyUrl) {
+      const key = `${proxyUrl} ${protocol}`;
+      try {
+        // Cache agents to avoid creating new ones per request
+        if (!this.proxyAgentCache.has(key)) {
+          this.proxyAgentCache.set(key, await createProxyAgent(proxyUrl, protocol));
+        }
+        return { agent: this.proxyAgentCache.get(key), proxied: true };
+      } catch (err) {
+        // Fall back to direct connection if agent creation fails
+        this.proxyPool.markFailed(proxyUrl);
+      }
+    }
+    const agent = this.keepAliveAgents ? this.keepAliveAgents[protocol] : undefined;
+    return { agent, proxied: false };
+  }
+
+  /**
+   * Send one request and resolve with the response (body drained). With
+   * readBody, an HTML page (not a redirect) is read into response.body,
+   * up to MAX_BODY_BYTES, decoded from the Content-Encoding the browser
+   * headers invited.
+   */
+  _send(url, { method, headers, body = null, agent, proxied, signal, readBody = false }) {
+    const doRequest = new URL(url).protocol === "https:" ? https.request : http.request;
+    return new Promise((resolve, reject) => {
+      const req = doRequest(url, {
+        method,
+        signal,
+        lookup: proxied ? undefined : cachedLookup, // skip DNS cache when proxied
+        agent,
+        headers,
+      }, (response) => {
+        const isPage = response.statusCode < 300 && /html/i.test(response.headers["content-type"] || "");
+        if (!readBody || !isPage) {
+          response.resume(); // drain body immediately
+          return resolve(response);
+        }
+        const decoder = DECODERS[(response.headers["content-encoding"] || "").trim().toLowerCase()];
+        const stream = decoder ? response.pipe(decoder()) : response;
+        let body = "";
+        stream.setEncoding("utf-8");
+        stream.on("data", (chunk) => {
+          if (body.length < MAX_BODY_BYTES) body += chunk;
+        });
+        stream.on("end", () => {
+          response.body = body;
+          resolve(response);
+        });
+        stream.on("error", reject);
+        if (decoder) response.on("error", reject);
+      });
+      req.on("error", reject);
+      req.end(body ?? undefined);
+    });
+  }
+
+  /**
+   * Send a page view to the analytics emitter, through the page's proxy.
+   * Returns the response status, or "error" (the hit itself still counts).
+   */
+  async _sendAnalytics(visit, { pageUrl, session, location, geoHeaders, proxyUrl, signal }) {
+    const request = buildAnalyticsRequest(this.analytics, {
+      ...visit,
+      pageUrl,
+      sessionId: Math.floor((session ? session.startedAt : Date.now()) / 1000),
+      latitude: visit.country ? location.latitude : null,
+      longitude: visit.country ? location.longitude : null,
+    }, geoHeaders);
+    try {
+      const { agent, proxied } = await this._agentFor(new URL(request.url).protocol, proxyUrl);
+      const res = await this._send(request.url, { ...request, agent, proxied, signal });
+      return res.statusCode;
+    } catch {
+      return "error";
+    }
+  }
+
+  /**
+   * Follow Location headers from the first response, up to MAX_REDIRECTS
+   * hops. Returns the chain (url, status, location, latencyMs per response),
+   * the destination URL and its status, and an error if the chain broke off.
+   */
+  async _followRedirects(url, res, latencyMs, { method, headers, proxyUrl, signal, jar = null, readBody = false }) {
+    const chain = [];
+    let current = url.split("#")[0];
+    for (;;) {
+      const location = res.headers.location || null;
+      chain.push({ url: current, status: res.statusCode, location, latencyMs });
+      if (res.statusCode < 300 || res.statusCode >= 400 || !location) {
+        return { chain, destination: current, finalStatus: res.statusCode, error: null, response: res };
+      }
+      if (chain.length > this.config.MAX_REDIRECTS) {
+        return { chain, destination: null, finalStatus: null, error: `more than ${this.config.MAX_REDIRECTS} redirects` };
+      }
+
+      // Browsers switch to GET after a 303, and after a 301/302 to a POST
+      if (res.statusCode === 303 || (method === "POST" && (res.statusCode === 301 || res.statusCode === 302))) {
+        method = "GET";
+      }
+      try {
+        const next = new URL(location, current);
+        next.hash = "";
+        current = next.href;
+        const { agent, proxied } = await this._agentFor(next.protocol, proxyUrl);
+        // Host and cookies for the hop's URL, in the place the browser sends them
+        const hopHeaders = { ...headers, ...("Host" in headers && { Host: next.host }) };
+        const cookie = jar && jar.header(current);
+        if (cookie) hopHeaders.Cookie = cookie;
+        else delete hopHeaders.Cookie;
+        const hopStart = Date.now();
+        res = await this._send(current, { method, headers: hopHeaders, agent, proxied, signal, readBody });
+        latencyMs = Date.now() - hopStart;
+        if (jar) jar.store(res.headers["set-cookie"], current);
+      } catch (err) {
+        return { chain, destination: null, finalStatus: null, error: err.message };
+      }
+    }
+  }
+
   /**
    * Active phase - make requests at a random rate
    */
   async activePhase(workerId, minutes) {
-    const rate = randInt(this.config.MIN_PER_MIN, this.config.MAX_PER_MIN);
+    const rng = this._rng(workerId);
+    const rate = randInt(this.config.MIN_PER_MIN, this.config.MAX_PER_MIN, rng);
+    const scheduleLabel = this.schedule ? ` at peak (${this.config.SCHEDULE_PROFILE} schedule)` : "";
     console.log(
       new Date().toISOString(),
       `W${workerId}`,
-      `ACTIVE for ${minutes} min @ ~${rate}/min`,
+      `ACTIVE for ${minutes} min @ ~${rate}/min${scheduleLabel}`,
+    );
+    this._emitEvent("phase_change", { workerId, phase: "active", minutes });
+
+    // Effective rate follows the schedule and flash crowds
+    const currentRate = this._rateReporter(workerId, () =>
+      rate * this._scheduleFactor() * this._flashMultiplier(),
     );
 
     const end = Date.now() + minutes * 60 * 1000;
-    while (Date.now() < end && this.isRunning) {
-      const hitStart = Date.now();
-      await this.doHit(workerId);
-      const elapsed = Date.now() - hitStart;
+    const bucket = this._createBucket();
+    while (this.isRunning && (await this._takeToken(workerId, rng, bucket, end, currentRate))) {
+      await this._dispatch(workerId);
+    }
+  }
 
-      // interval per request in ms, minus time already spent on the fetch
-      const base = 60000 / rate;
-      const jitter = Math.round(base * (Math.random() * 0.2 - 0.1)); // ±10%
-      const remaining = Math.max(0, base + jitter - elapsed);
-      if (remaining > 0) await sleep(remaining);
+  /**
+   * Wrap a rate function (hits/min) so every change in the rounded rate is
+   * reported to listeners as a "rate" event
+   */
+  _rateReporter(workerId, rateFn) {
+    let reportedRate = null;
+    return () => {
+      const rate = rateFn();
+      if (Math.round(rate) !== reportedRate) {
+        reportedRate = Math.round(rate);
+        this._emitEvent("rate", { workerId, rate: reportedRate });
+      }
+      return rate;
+    };
+  }
+
+  /**
+   * Token bucket for one traffic stream. Tokens accrue at the current rate
+   * (1 token = one mean interval); the next hit needs `need` tokens, drawn
+   * from the arrival model. Unspent tokens are capped, so a stream held back
+   * by the in-flight limit catches up by at most BUCKET_CATCH_UP hits.
+   */
+  _createBucket() {
+    return { tokens: 0, need: 0, at: Date.now() };
+  }
+
+  /**
+   * Wait until the bucket holds enough tokens for the next hit, then spend
+   * them. The wait is walked in slices of a few seconds with currentRate()
+   * re-read each time, so a schedule change or flash crowd mid-wait takes
+   * effect (a rate of 0 pauses). Returns false if `end` passes first.
+   */
+  async _takeToken(workerId, rng, bucket, end, currentRate) {
+    while (this.isRunning && Date.now() < end) {
+      const now = Date.now();
+      const rate = currentRate();
+      bucket.tokens = Math.min(
+        bucket.need + BUCKET_CATCH_UP,
+        bucket.tokens + ((now - bucket.at) * rate) / 60000,
+      );
+      bucket.at = now;
+      if (rate > 0 && bucket.tokens >= bucket.need) {
+        bucket.tokens -= bucket.need;
+        bucket.need = this._arrivalMultiplier(workerId, rng);
+        return true;
+      }
+      const dueMs = rate > 0 ? ((bucket.need - bucket.tokens) * 60000) / rate : Infinity;
+      await sleep(Math.max(1, Math.min(WAIT_SLICE_MS, dueMs, end - now)));
+    }
+    return false;
+  }
+
+  /**
+   * Fire a hit without waiting for its response, so slow responses don't
+   * slow the schedule down. At MAX_IN_FLIGHT open requests this waits for a
+   * slot instead; a freed slot is handed straight to the next waiter.
+   */
+  async _dispatch(workerId) {
+    await this._acquireSlot();
+    if (!this.isRunning) {
+      this._releaseSlot();
+      return;
+    }
+
+    // In session mode the slot covers the landing page; follow-up pages
+    // take their own slots
+    const run = this.config.SESSION_MODE
+      ? this._runSession(workerId)
+      : this.doHit(workerId).finally(() => this._releaseSlot());
+    // A bug in building the hit, not a failed request: still an error, so
+    // it counts against MAX_ERROR_RATE instead of passing silently
+    run.catch((err) => this._emitEvent("error", { workerId, message: err.message, internal: true }));
+  }
+
+  async _acquireSlot() {
+    const limit = Math.max(1, this.config.MAX_IN_FLIGHT || 1);
+    if (this.inFlight >= limit) {
+      await new Promise((resolve) => this.slotWaiters.push(resolve));
+    } else {
+      this.inFlight++;
     }
   }
 
+  _releaseSlot() {
+    const next = this.slotWaiters.shift();
+    if (next) next();
+    else this.inFlight--;
+  }
+
+  /**
+   * One visitor session: a landing hit, then — unless the visitor bounces —
+   * SESSION_PAGES_MIN..MAX follow-up pages with think time between them.
+   * The visitor keeps one identity, proxy and cookie jar throughout; each
+   * page's Referer is the page before it. Follow-up pages come from
+   * SESSION_PAGES, or else from links found on the current page.
+   * Called holding an in-flight slot for the landing page. Ends with a
+   * session_end event counting the pages that actually got a response.
+   */
+  async _runSession(workerId) {
+    const number = (this.sessionCounters.get(workerId) || 0) + 1;
+    this.sessionCounters.set(workerId, number);
+    const id = `${workerId}-${number}`;
+    const rng = this._sessionRng(id);
+    const bounced = rng() * 100 < (this.config.BOUNCE_RATE || 0);
+    const followUps = bounced
+      ? 0
+      : randInt(this.config.SESSION_PAGES_MIN, Math.max(this.config.SESSION_PAGES_MIN, this.config.SESSION_PAGES_MAX), rng);
+    const visitor = this._pickVisitor(rng);
+    const session = {
+      id,
+      rng,
+      startedAt: Date.now(),
+      visitor,
+      jar: visitor.jar,
+      referer: this._visitReferer(visitor, rng),
+      page: 0,
+      pages: 1 + followUps,
+    };
+
+    this.openSessions++;
+    let pagesVisited = 0;
+    try {
+      let result = await this.doHit(workerId, session).finally(() => this._releaseSlot());
+      if (result.success) pagesVisited++;
+      for (let page = 1; page <= followUps && this.isRunning && result.success; page++) {
+        const next = this._nextPage(result, rng);
+        if (!next) break;
+        const thinkMs = randInt(this.config.THINK_TIME_MIN, Math.max(this.config.THINK_TIME_MIN, this.config.THINK_TIME_MAX), rng) * 1000;
+        await abortableSleep(thinkMs, this.stopController.signal);
+        if (!this.isRunning) break;
+
+        session.referer = result.finalUrl;
+        session.url = next;
+        session.page = page;
+        await this._acquireSlot();
+        result = await this.doHit(workerId, session).finally(() => this._releaseSlot());
+        if (result.success) pagesVisited++;
+      }
+    } finally {
+      this.openSessions--;
+      this._emitEvent("session_end", { workerId, id: session.id, pagesPlanned: session.pages, pagesVisited });
+    }
+  }
+
+  /**
+   * Next page of a journey: a random SESSION_PAGES entry (resolved against
+   * the page the visitor is on), or a random link found on it
+   */
+  _nextPage(result, rng) {
+    if (!result.finalUrl) return null;
+    if (this.sessionPages.length > 0) {
+      return new URL(randChoice(this.sessionPages, rng), result.finalUrl).href;
+    }
+    const links = result.body ? extractLinks(result.body, result.finalUrl) : [];
+    return links.length > 0 ? randChoice(links, rng) : null;
+  }
+
   /**
    * Idle phase - sleep for a random duration
    */
@@ -579,32 +1345,129 @@ export class TrafficSimulator {
       `W${workerId}`,
       `IDLE for ${minutes} min`,
     );
-    await sleep(minutes * 60 * 1000);
+    this._emitEvent("phase_change", { workerId, phase: "idle", minutes });
+    this._emitEvent("rate", { workerId, rate: 0 });
+
+    // A flash crowd cuts the idle phase short
+    const end = Date.now() + minutes * 60 * 1000;
+    while (Date.now() < end && this.isRunning && this._flashMultiplier() <= 1) {
+      await sleep(Math.min(60000, end - Date.now()));
+    }
   }
 
   /**
    * Worker loop - alternates between active and idle phases
    */
   async workerLoop(id) {
+    const rng = this._rng(id);
     while (this.isRunning) {
       // active phase
       const activeMinutes = randInt(
         this.config.MIN_ACTIVE,
         this.config.MAX_ACTIVE,
+        rng,
       );
       await this.activePhase(id, activeMinutes);
 
       // transition
-      if (Math.random() < this.config.IDLE_ODDS && this.isRunning) {
+      if (rng() < this.config.IDLE_ODDS && this.isRunning) {
         const idleMinutes = randInt(
           this.config.MIN_IDLE,
           this.config.MAX_IDLE,
+          rng,
         );
         await this.idlePhase(id, idleMinutes);
       }
     }
   }
 
+  /**
+   * Advance the scenario timeline to now: apply "set" steps that have been
+   * passed (each loop cycle starts again from the base config) and announce
+   * step changes. Returns the current state, or null when finished.
+   */
+  _advanceScenario(now = Date.now()) {
+    const state = scenarioStateAt(this.scenario, now - this.scenarioStartedAt);
+    if (!state) {
+      if (!this.scenarioComplete) {
+        this.scenarioComplete = true;
+        console.log(new Date(now).toISOString(), `SCENARIO "${this.scenario.name}" complete`);
+        this._emitEvent("scenario_complete", { name: this.scenario.name });
+      }
+      return null;
+    }
+
+    let changed = false;
+    if (state.cycle !== this.scenarioCycle) {
+      changed = this.scenarioCycle >= 0 && this.scenario.steps.some((step) => step.type === "set");
+      this.scenarioCycle = state.cycle;
+      this.scenarioApplied = -1;
+      this.config = { ...this.baseConfig };
+    }
+    for (let i = this.scenarioApplied + 1; i <= state.index; i++) {
+      const step = this.scenario.steps[i];
+      if (step.type === "set") {
+        Object.assign(this.config, step.config);
+        changed = true;
+        console.log(new Date(now).toISOString(), `SCENARIO ${describeStep(step)}`);
+      }
+    }
+    this.scenarioApplied = state.index;
+    if (changed) this._deriveFromConfig();
+
+    const stepKey = `${state.cycle}:${state.index}`;
+    if (stepKey !== this.scenarioStepKey) {
+      this.scenarioStepKey = stepKey;
+      console.log(
+        new Date(now).toISOString(),
+        `SCENARIO step ${state.index + 1}/${this.scenario.steps.length}: ${describeStep(state.step)} for ${state.step.minutes} min`,
+      );
+      this._emitEvent("scenario_step", {
+        name: this.scenario.name,
+        index: state.index,
+        total: this.scenario.steps.length,
+        label: describeStep(state.step),
+        stepEndsAt: now + state.remainingMs,
+        endsAt: this.scenario.loop ? null : now + state.totalRemainingMs,
+      });
+    }
+    return state;
+  }
+
+  /**
+   * Scenario worker loop — follows the shared timeline instead of random
+   * phases. Step rates are per link, split across CONCURRENT workers.
+   */
+  async scenarioLoop(workerId) {
+    const rng = this._rng(workerId);
+    const workers = Math.max(1, this.config.CONCURRENT);
+    let phase = null;
+
+    const currentRate = this._rateReporter(workerId, () => {
+      const state = this._advanceScenario();
+      const stepPhase = !state || state.step.type === "idle" ? "idle" : "active";
+      if (stepPhase !== phase) {
+        phase = stepPhase;
+        this._emitEvent("phase_change", {
+          workerId,
+          phase,
+          minutes: state ? state.remainingMs / 60000 : 0,
+        });
+      }
+      return state ? (state.rate / workers) * this._flashMultiplier() : 0;
+    });
+
+    // Waits stop at step boundaries so a new step's rate applies right away
+    const bucket = this._createBucket();
+    let state;
+    while (this.isRunning && (state = this._advanceScenario())) {
+      const stepEnd = Date.now() + state.remainingMs;
+      if (await this._takeToken(workerId, rng, bucket, stepEnd, currentRate)) {
+        await this._dispatch(workerId);
+      }
+    }
+  }
+
   /**
    * Start the simulator
    */
@@ -615,14 +1478,25 @@ export class TrafficSimulator {
     }
 
     this.isRunning = true;
+    this.stopController = new AbortController();
     console.log(`Starting traffic simulator for ${this.targetUrl}`);
     console.log("Config:", this.config);
 
     // Initialize proxy pool (no-op if mode=none)
     await this.proxyPool.init();
 
+    // A scenario replaces the random active/idle phases with a scripted timeline
+    if (this.config.SCENARIO) {
+      this.scenario = await loadScenario(this.config.SCENARIO);
+      this.baseConfig = { ...this.config };
+      this.scenarioStartedAt = Date.now();
+      this.scenarioCycle = -1;
+      console.log(`Scenario: "${this.scenario.name}" (${this.scenario.steps.length} steps${this.scenario.loop ? ", looping" : ""})`);
+    }
+
     for (let i = 0; i < this.config.CONCURRENT; i++) {
-      const worker = this.workerLoop(i + 1).catch((e) =>
+      const loop = this.scenario ? this.scenarioLoop(i + 1) : this.workerLoop(i + 1);
+      const worker = loop.catch((e) =>
         console.error(`Worker ${i + 1} crashed:`, e),
       );
       this.workers.push(worker);
@@ -635,18 +1509,33 @@ export class TrafficSimulator {
    */
   stop() {
     this.isRunning = false;
+    this.stopController.abort();
     this.proxyPool.destroy();
     this.proxyAgentCache.clear();
     console.log("Stopping simulator...");
   }
 
+  /**
+   * Resolve once every in-flight request and session has settled, then close pooled
+   * keep-alive connections
+   */
+  async drain() {
+    while (this.inFlight > 0 || this.openSessions > 0) await sleep(50);
+    if (this.keepAliveAgents) {
+      for (const agent of Object.values(this.keepAliveAgents)) agent.destroy();
+    }
+  }
+
   /**
    * Get current statistics
    */
   getStats() {
     return {
       hitCounter: this.hitCounter,
-      uniqueIps: this.usedIps.size,
+      uniqueIps: this.usedIps.size + this.usedIpv6.size,
+      uniqueVisitors: { ipv4: this.usedIps.size, ipv6: this.usedIpv6.size }, // by /24 and IPv6 prefix
+      visitors: this.visitorPool.size,
+      inFlight: this.inFlight,
       isRunning: this.isRunning,
     };
   }
@@ -0,0 +1,323 @@
+// useragents.js
+// Generated desktop and mobile User-Agents: strings built from templates per
+// browser family and OS (release trains, OS versions, device models), picked
+// by a browser/OS market-share table (BROWSER_MIX). Versions follow each
+// vendor's release cadence from the run date, so a run never looks pinned to
+// one old release.
+//
+// A mix entry is { browser, os, weight }; the short env form is
+// "chrome/windows:46,safari/ios:38". Desktop OSes share the desktop traffic
+// (DEVICE_RATIO), mobile OSes the mobile traffic.
+
+const DAY_MS = 86_400_000;
+
+/**
+ * Operating systems, by the device class whose traffic they carry
+ */
+export const OPERATING_SYSTEMS = {
+  windows: "desktop",
+  macos: "desktop",
+  linux: "desktop",
+  chromeos: "desktop",
+  android: "mobile",
+  ios: "mobile",
+};
+
+/**
+ * Built-in market shares: roughly the desktop and mobile browser/OS split
+ * analytics tools report for general web traffic
+ */
+export const DEFAULT_BROWSER_MIX = [
+  { browser: "chrome", os: "windows", weight: 46 },
+  { browser: "chrome", os: "macos", weight: 9 },
+  { browser: "chrome", os: "linux", weight: 3 },
+  { browser: "chrome", os: "chromeos", weight: 2 },
+  { browser: "edge", os: "windows", weight: 12 },
+  { browser: "edge", os: "macos", weight: 1 },
+  { browser: "safari", os: "macos", weight: 8 },
+  { browser: "firefox", os: "windows", weight: 5 },
+  { browser: "firefox", os: "macos", weight: 1 },
+  { browser: "firefox", os: "linux", weight: 1 },
+  { browser: "chrome", os: "android", weight: 44 },
+  { browser: "samsung", os: "android", weight: 5 },
+  { browser: "firefox", os: "android", weight: 1 },
+  { browser: "edge", os: "android", weight: 1 },
+  { browser: "safari", os: "ios", weight: 38 },
+  { browser: "chrome", os: "ios", weight: 4 },
+  { browser: "firefox", os: "ios", weight: 1 },
+];
+
+// ============================================================================
+// Release trains
+// ============================================================================
+
+/**
+ * Share of visitors on the latest release, the one before, and so on —
+ * auto-updates move most visitors within a few weeks, with a long tail
+ */
+const ADOPTION = [45, 25, 12, 8, 5, 3, 2];
+
+/**
+ * Releases on a fixed cadence, counted from one known release
+ */
+const TRAINS = {
+  chrome: { major: 120, date: "2023-12-05", days: 32 }, // four-weekly, with a holiday gap
+  firefox: { major: 121, date: "2023-12-19", days: 29 },
+  samsung: { major: 23, date: "2023-10-05", days: 110 },
+  android: { major: 16, date: "2025-06-10", days: 365 },
+};
+
+function pickAge(rng, weights = ADOPTION) {
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  let roll = rng() * total;
+  for (let age = 0; age < weights.length; age++) {
+    roll -= weights[age];
+    if (roll <= 0) return age;
+  }
+  return weights.length - 1;
+}
+
+const pick = (items, rng) => items[Math.floor(rng() * items.length)];
+
+/**
+ * Major version of a train at `now`, `age` releases back
+ */
+function trainMajor(train, now, age = 0) {
+  const { major, date, days } = TRAINS[train];
+  return major + Math.floor((now - Date.parse(date)) / (days * DAY_MS)) - age;
+}
+
+/**
+ * Chromium build numbers grow ~66 per major (120.0.6099.x); Edge keeps its own
+ * (120.0.2210.x). Only iOS browsers and Edge still send them.
+ */
+const chromiumBuild = (major, rng) => `${major}.0.${6099 + (major - 120) * 66}.${40 + Math.floor(rng() * 180)}`;
+const edgeBuild = (major, rng) => `${major}.0.${2210 + (major - 120) * 63}.${30 + Math.floor(rng() * 150)}`;
+
+/**
+ * An Apple OS/Safari release: a new major every September (17, 18, then
+ * year-numbered from 26 in 2025) and a point release about every seven weeks
+ */
+function appleRelease(now, rng) {
+  const releases = [];
+  const year = new Date(now).getUTCFullYear();
+  for (let y = year - 2; y <= year; y++) {
+    const major = y >= 2025 ? (y % 100) + 1 : y - 2006;
+    for (let minor = 0; minor <= 6; minor++) {
+      if (Date.UTC(y, 8, 15) + minor * 49 * DAY_MS <= now) releases.push({ major, minor });
+    }
+  }
+  const { major, minor } = releases[Math.max(0, releases.length - 1 - pickAge(rng))];
+  // Bug-fix updates; from 26 on the User-Agent carries no patch level
+  const patch = major < 26 && rng() < 0.5 ? 1 + Math.floor(rng() * 2) : 0;
+  const version = [major, minor, ...(patch ? [patch] : [])].join(".");
+  return {
+    version,
+    // iOS 26 froze the OS version in the User-Agent at 18.6
+    osToken: major >= 26 ? "18_6" : version.replace(/\./g, "_"),
+  };
+}
+
+// ============================================================================
+// Templates
+// ============================================================================
+
+/**
+ * Platform tokens as Chromium's reduced User-Agent sends them (OS versions
+ * and device models frozen), and as Firefox sends them
+ */
+const CHROMIUM_PLATFORMS = {
+  windows: "Windows NT 10.0; Win64; x64",
+  macos: "Macintosh; Intel Mac OS X 10_15_7",
+  linux: "X11; Linux x86_64",
+  chromeos: "X11; CrOS x86_64 14541.0.0",
+};
+const FIREFOX_PLATFORMS = {
+  windows: () => "Windows NT 10.0; Win64; x64",
+  macos: () => "Macintosh; Intel Mac OS X 10.15",
+  linux: (rng) => pick(["X11; Linux x86_64", "X11; Ubuntu; Linux x86_64"], rng),
+};
+const CHROMIUM_ANDROID = "Linux; Android 10; K";
+
+/**
+ * Samsung Galaxy models (tablets send no "Mobile" token)
+ */
+const SAMSUNG_MODELS = [
+  { model: "SM-S928B" }, { model: "SM-S921B" }, { model: "SM-S918B" }, { model: "SM-S911B" },
+  { model: "SM-S901B" }, { model: "SM-G991B" }, { model: "SM-A556B" }, { model: "SM-A546B" },
+  { model: "SM-A536B" }, { model: "SM-A356B" }, { model: "SM-A256B" }, { model: "SM-A155F" },
+  { model: "SM-A145R" }, { model: "SM-F946B" }, { model: "SM-F731B" },
+  { model: "SM-X710", tablet: true }, { model: "SM-X205", tablet: true },
+];
+
+const iphone = (osToken) => `Mozilla/5.0 (iPhone; CPU iPhone OS ${osToken} like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko)`;
+
+/**
+ * Per browser family, per OS: (rng, now) -> { ua, version }
+ */
+const TEMPLATES = {
+  chrome: {
+    ...Object.fromEntries(Object.entries(CHROMIUM_PLATFORMS).map(([os, platform]) => [os, (rng, now) => {
+      const major = trainMajor("chrome", now, pickAge(rng));
+      return {
+        ua: `Mozilla/5.0 (${platform}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${major}.0.0.0 Safari/537.36`,
+        version: `${major}.0.0.0`,
+      };
+    }])),
+    android: (rng, now) => {
+      const major = trainMajor("chrome", now, pickAge(rng));
+      return {
+        ua: `Mozilla/5.0 (${CHROMIUM_ANDROID}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${major}.0.0.0 Mobile Safari/537.36`,
+        version: `${major}.0.0.0`,
+      };
+    },
+    ios: (rng, now) => {
+      const version = chromiumBuild(trainMajor("chrome", now, pickAge(rng)), rng);
+      return { ua: `${iphone(appleRelease(now, rng).osToken)} CriOS/${version} Mobile/15E148 Safari/604.1`, version };
+    },
+  },
+
+  edge: {
+    ...Object.fromEntries(["windows", "macos"].map((os) => [os, (rng, now) => {
+      const major = trainMajor("chrome", now, pickAge(rng));
+      const version = edgeBuild(major, rng);
+      return {
+        ua: `Mozilla/5.0 (${CHROMIUM_PLATFORMS[os]}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${major}.0.0.0 Safari/537.36 Edg/${version}`,
+        version,
+      };
+    }])),
+    android: (rng, now) => {
+      const major = trainMajor("chrome", now, pickAge(rng));
+      const version = edgeBuild(major, rng);
+      return {
+        ua: `Mozilla/5.0 (${CHROMIUM_ANDROID}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${major}.0.0.0 Mobile Safari/537.36 EdgA/${version}`,
+        version,
+      };
+    },
+    ios: (rng, now) => {
+      const apple = appleRelease(now, rng);
+      const version = edgeBuild(trainMajor("chrome", now, pickAge(rng)), rng);
+      return { ua: `${iphone(apple.osToken)} Version/${apple.version} EdgiOS/${version} Mobile/15E148 Safari/605.1.15`, version };
+    },
+  },
+
+  firefox: {
+    ...Object.fromEntries(Object.entries(FIREFOX_PLATFORMS).map(([os, platform]) => [os, (rng, now) => {
+      const major = trainMajor("firefox", now, pickAge(rng));
+      return { ua: `Mozilla/5.0 (${platform(rng)}; rv:${major}.0) Gecko/20100101 Firefox/${major}.0`, version: `${major}.0` };
+    }])),
+    android: (rng, now) => {
+      const major = trainMajor("firefox", now, pickAge(rng));
+      const android = trainMajor("android", now, pickAge(rng, [3, 4, 3, 2, 1]));
+      return { ua: `Mozilla/5.0 (Android ${android}; Mobile; rv:${major}.0) Gecko/${major}.0 Firefox/${major}.0`, version: `${major}.0` };
+    },
+    ios: (rng, now) => {
+      const major = trainMajor("firefox", now, pickAge(rng));
+      return { ua: `${iphone(appleRelease(now, rng).osToken)} FxiOS/${major}.0 Mobile/15E148 Safari/605.1.15`, version: `${major}.0` };
+    },
+  },
+
+  safari: {
+    macos: (rng, now) => {
+      const { version } = appleRelease(now, rng);
+      return {
+        ua: `Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/${version} Safari/605.1.15`,
+        version,
+      };
+    },
+    ios: (rng, now) => {
+      const { version, osToken } = appleRelease(now, rng);
+      return { ua: `${iphone(osToken)} Version/${version} Mobile/15E148 Safari/604.1`, version };
+    },
+  },
+
+  // Samsung Internet: a few Chromium majors behind Chrome, and still sends
+  // the device model
+  samsung: {
+    android: (rng, now) => {
+      const age = pickAge(rng);
+      const major = trainMajor("samsung", now, age);
+      const chromium = trainMajor("chrome", now - age * TRAINS.samsung.days * DAY_MS) - 5;
+      const android = trainMajor("android", now, pickAge(rng, [2, 4, 3, 2, 1]));
+      const { model, tablet } = pick(SAMSUNG_MODELS, rng);
+      return {
+        ua: `Mozilla/5.0 (Linux; Android ${android}; ${model}) AppleWebKit/537.36 (KHTML, like Gecko) SamsungBrowser/${major}.0 Chrome/${chromium}.0.0.0 ${tablet ? "" : "Mobile "}Safari/537.36`,
+        version: `${major}.0`,
+      };
+    },
+  },
+};
+
+/**
+ * OSes each browser family can be generated for
+ */
+export const BROWSER_OSES = Object.fromEntries(Object.entries(TEMPLATES).map(([browser, oses]) => [browser, Object.keys(oses)]));
+
+// ============================================================================
+// Browser/OS mix
+// ============================================================================
+
+/**
+ * Parse BROWSER_MIX: a list of { browser, os, weight } (from the config file,
+ * or JSON), or the short env form "chrome/windows:46,safari/ios:38".
+ * Combinations without a template are dropped.
+ */
+export function parseBrowserMix(raw) {
+  let mix = raw || [];
+  if (typeof mix === "string") {
+    const text = mix.trim();
+    if (text.startsWith("[")) {
+      try {
+        mix = JSON.parse(text);
+      } catch (e) {
+        console.warn("Failed to parse BROWSER_MIX:", e.message);
+        return [];
+      }
+    } else {
+      mix = text.split(",").filter((part) => part.trim()).map((part) => {
+        const [combo, weight] = part.split(":");
+        const [browser, os] = combo.split("/");
+        return { browser, os, weight };
+      });
+    }
+  }
+  if (!Array.isArray(mix)) {
+    console.warn("BROWSER_MIX must be a list of { browser, os, weight } entries");
+    return [];
+  }
+
+  return mix.flatMap((entry) => {
+    const browser = String(entry?.browser ?? "").trim().toLowerCase();
+    const os = String(entry?.os ?? "").trim().toLowerCase();
+    const weight = Number(entry?.weight);
+    if (!BROWSER_OSES[browser]?.includes(os) || !(weight >= 0)) {
+      const known = Object.entries(BROWSER_OSES).map(([b, oses]) => `${b}/${oses.join("|")}`).join(", ");
+      console.warn(`Ignoring BROWSER_MIX entry ${JSON.stringify(entry)} (expected a weight >= 0 and one of: ${known})`);
+      return [];
+    }
+    return [{ browser, os, weight }];
+  });
+}
+
+/**
+ * Split a mix by device class. A class the mix leaves empty (or all zero)
+ * keeps the built-in shares.
+ * @returns {{ desktop: object[], mobile: object[] }}
+ */
+export function browserMixByDevice(mix = []) {
+  const forDevice = (entries, device) => entries.filter((entry) => OPERATING_SYSTEMS[entry.os] === device && entry.weight > 0);
+  return Object.fromEntries(["desktop", "mobile"].map((device) => {
+    const entries = forDevice(mix, device);
+    return [device, entries.length > 0 ? entries : forDevice(DEFAULT_BROWSER_MIX, device)];
+  }));
+}
+
+/**
+ * A fresh User-Agent for one browser/OS combination, current as of `now`
+ * @returns {{ ua, browser, version }} - as in the User-Agent catalogs
+ */
+export function generateUserAgent({ browser, os }, rng = Math.random, now = Date.now()) {
+  const template = TEMPLATES[browser]?.[os];
+  if (!template) throw new Error(`No User-Agent template for ${browser}/${os}`);
+  return { ...template(rng, now), browser };
+}
@@ -0,0 +1,60 @@
+// visitors.js
+// Pool of returning visitors. Each visitor is a stable profile (IP, UA,
+// language, location, referer habits, cookie jar) minted once by the
+// simulator; how often a visitor comes back follows a power law, so a few
+// regulars account for many return visits and most visitors return rarely.
+
+const POWER_LAW_ALPHA = 1.5; // Pareto tail index for visit frequency (lower = more skewed)
+
+/**
+ * Visit-frequency weight for a new visitor: Pareto-distributed, minimum 1
+ */
+function frequencyWeight(rng) {
+  return Math.pow(1 - rng(), -1 / POWER_LAW_ALPHA);
+}
+
+export class VisitorPool {
+  /**
+   * @param {number} maxSize - visitors kept; beyond this a random one is forgotten
+   */
+  constructor(maxSize = 10_000) {
+    this.maxSize = Math.max(1, maxSize);
+    this.visitors = [];
+    this.totalWeight = 0;
+  }
+
+  get size() {
+    return this.visitors.length;
+  }
+
+  /**
+   * Add a freshly minted visitor, giving it a visit-frequency weight
+   */
+  add(visitor, rng = Math.random) {
+    if (this.visitors.length >= this.maxSize) {
+      this._remove(Math.floor(rng() * this.visitors.length));
+    }
+    visitor.weight = frequencyWeight(rng);
+    this.visitors.push(visitor);
+    this.totalWeight += visitor.weight;
+    return visitor;
+  }
+
+  /**
+   * Draw a returning visitor, weighted by visit frequency
+   */
+  draw(rng = Math.random) {
+    let target = rng() * this.totalWeight;
+    for (const visitor of this.visitors) {
+      target -= visitor.weight;
+      if (target <= 0) return visitor;
+    }
+    return this.visitors[this.visitors.length - 1];
+  }
+
+  _remove(index) {
+    const [removed] = this.visitors.splice(index, 1, this.visitors[this.visitors.length - 1]);
+    this.visitors.pop();
+    this.totalWeight -= removed.weight;
+  }
+}
@@ -4,6 +4,7 @@
 // This is spawned as a child process by the main index.js
 
 import { TrafficSimulator } from "./simulator.js";
+import { HitLedger, ledgerNameForUrl } from "./ledger.js";
 
 const targetUrl = process.argv[2];
 
@@ -15,6 +16,30 @@ if (!targetUrl) {
 // Create and start simulator
 const simulator = new TrafficSimulator(targetUrl);
 
+// Optional ground-truth ledger (one file per worker process)
+const ledger = simulator.config.LEDGER_DIR
+  ? new HitLedger(simulator.config.LEDGER_DIR, {
+    format: simulator.config.LEDGER_FORMAT,
+    name: ledgerNameForUrl(targetUrl),
+  })
+  : null;
+if (ledger) console.log(`Ledger: ${ledger.path}`);
+
+// Forward typed simulator events (hit, error, session_end, phase_change, rate) to parent
+simulator.on("event", (event) => {
+  if (process.send) process.send(event);
+  if (ledger) ledger.record(event);
+
+  // A finished (non-looping) scenario ends the worker
+  if (event.type === "scenario_complete") {
+    simulator.stop();
+    simulator.drain().then(() => {
+      if (ledger) ledger.close();
+      setTimeout(() => process.exit(0), 100); // let the IPC message flush
+    });
+  }
+});
+
 // Listen for IPC messages from parent (proxy list updates)
 process.on("message", (msg) => {
   if (msg.type === "proxy_list") {
@@ -25,11 +50,13 @@ process.on("message", (msg) => {
 // Handle graceful shutdown
 process.on("SIGTERM", () => {
   simulator.stop();
+  if (ledger) ledger.close();
   process.exit(0);
 });
 
 process.on("SIGINT", () => {
   simulator.stop();
+  if (ledger) ledger.close();
   process.exit(0);
 });
 